@@ -0,0 +1,92 @@
+// Automation API Authentication
+// Requests to the automation API are signed with HMAC-SHA256 over the timestamp, a random nonce,
+// the method, the path and the raw body. Requests older than API_MAX_SKEW_MS are refused, and each
+// nonce is accepted once within that window, so a captured request can't be replayed.
+
+const crypto = require('crypto');
+
+const API_MAX_SKEW_MS = 5 * 60 * 1000; // Accept timestamps up to 5 minutes off
+
+// nonce -> expiresAt (ms)
+const seenNonces = new Map();
+
+/**
+ * The string a request signature covers
+ * @param {Object} parts - { timestamp, nonce, method, path, body }
+ */
+function buildSigningString({ timestamp, nonce, method, path, body }) {
+  return `${timestamp}.${nonce}.${method.toUpperCase()}.${path}.${body || ''}`;
+}
+
+/**
+ * Sign a request
+ * @param {string} secret - Shared secret
+ * @param {Object} request - { method, path, body } where body is the raw JSON string ('' for none)
+ * @returns {Object} - Headers to send: x-biteplug-timestamp, x-biteplug-nonce, x-biteplug-signature
+ */
+function signRequest(secret, { method, path, body = '' }) {
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(buildSigningString({ timestamp, nonce, method, path, body }))
+    .digest('hex');
+
+  return {
+    'x-biteplug-timestamp': timestamp,
+    'x-biteplug-nonce': nonce,
+    'x-biteplug-signature': signature
+  };
+}
+
+/**
+ * Verify a signed request and remember its nonce
+ * @param {string} secret - Shared secret
+ * @param {Object} request - { method, path, body, headers } (headers lower-cased, as Node gives them)
+ * @returns {string|null} - Why the request is refused, or null if it is authentic
+ */
+function verifyRequest(secret, { method, path, body, headers }) {
+  const timestamp = headers['x-biteplug-timestamp'];
+  const nonce = headers['x-biteplug-nonce'];
+  const signature = headers['x-biteplug-signature'];
+
+  if (!timestamp || !nonce || !signature) {
+    return 'Missing signature headers';
+  }
+
+  const now = Date.now();
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > API_MAX_SKEW_MS) {
+    return 'Timestamp missing or outside the allowed window';
+  }
+
+  if (!/^[a-f0-9]{16,64}$/i.test(nonce)) {
+    return 'Invalid nonce';
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(buildSigningString({ timestamp, nonce, method, path, body }))
+    .digest();
+  const given = Buffer.from(signature, 'hex');
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return 'Invalid signature';
+  }
+
+  for (const [seen, expiresAt] of seenNonces) {
+    if (expiresAt <= now) seenNonces.delete(seen);
+  }
+
+  if (seenNonces.has(nonce)) {
+    return 'Nonce already used';
+  }
+  seenNonces.set(nonce, now + 2 * API_MAX_SKEW_MS);
+
+  return null;
+}
+
+module.exports = {
+  API_MAX_SKEW_MS,
+  signRequest,
+  verifyRequest
+};
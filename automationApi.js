@@ -0,0 +1,293 @@
+// Automation API
+// Local HTTP server for the automation worker: order notifications, creating a ticket on demand
+// and queue/VCC stats. Every request must be signed (see apiAuth.js) and every body must match the
+// endpoint's schema. Disabled unless AUTOMATION_API_SECRET is set.
+
+const http = require('http');
+const { Order } = require('./models');
+const { verifyRequest } = require('./apiAuth');
+const orderQueue = require('./orderQueue');
+const vccService = require('./vccService');
+const paymentMonitor = require('./paymentMonitor');
+const { PENDING_CHANNEL_ID, hasTicketChannel } = require('./orderDetails');
+
+const AUTOMATION_API_SECRET = process.env.AUTOMATION_API_SECRET;
+const AUTOMATION_API_HOST = process.env.AUTOMATION_API_HOST || '127.0.0.1';
+const AUTOMATION_API_PORT = parseInt(process.env.AUTOMATION_API_PORT || '3100', 10);
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+const ORDER_NUMBER = { type: 'string', required: true, maxLength: 64 };
+
+// Request body schemas, by endpoint. Fields not listed are refused.
+const SCHEMAS = {
+  notification: {
+    type: { type: 'string', required: true, enum: ['processing', 'success', 'failure'] },
+    orderNumber: ORDER_NUMBER,
+    uberLink: { type: 'string', maxLength: 500 },
+    attempt: { type: 'integer', min: 1 },
+    maxAttempts: { type: 'integer', min: 1 },
+    error: { type: 'string', maxLength: 1000 }
+  },
+  ticket: {
+    orderNumber: ORDER_NUMBER
+  }
+};
+
+class ApiError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Check a body against a schema
+ * @param {Object} schema - Field rules ({ type, required, enum, maxLength, min })
+ * @param {*} body - Parsed JSON body
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+function validatePayload(schema, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Body must be a JSON object'];
+  }
+
+  const errors = Object.keys(body)
+    .filter(field => !schema[field])
+    .map(field => `Unknown field "${field}"`);
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = body[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`"${field}" is required`);
+      continue;
+    }
+
+    const typeOk = rule.type === 'integer' ? Number.isInteger(value) : typeof value === rule.type;
+    if (!typeOk) {
+      errors.push(`"${field}" must be ${rule.type === 'integer' ? 'an integer' : `a ${rule.type}`}`);
+      continue;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`"${field}" must be one of: ${rule.enum.join(', ')}`);
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      errors.push(`"${field}" must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.type === 'string' && rule.required && !value.trim()) {
+      errors.push(`"${field}" must not be empty`);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push(`"${field}" must be at least ${rule.min}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a JSON body
+ * @param {string} raw - Raw request body
+ * @param {Object} schema - Schema from SCHEMAS
+ * @throws {ApiError}
+ */
+function parseBody(raw, schema) {
+  let body;
+  try {
+    body = JSON.parse(raw || 'null');
+  } catch (error) {
+    throw new ApiError(400, 'Body is not valid JSON');
+  }
+
+  const errors = validatePayload(schema, body);
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Invalid request body', errors);
+  }
+  return body;
+}
+
+/**
+ * Read the raw request body
+ * @param {Object} req - Node request
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new ApiError(413, `Body larger than ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {Object} res - Node response
+ * @param {number} status - HTTP status
+ * @param {Object} payload - Response body
+ */
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * POST /v1/notifications - Post an automation progress notification
+ */
+async function handleNotification(context, raw) {
+  const { type, orderNumber, ...additionalData } = parseBody(raw, SCHEMAS.notification);
+
+  const order = await Order.findOne({ orderNumber }).select('_id');
+  if (!order) {
+    throw new ApiError(404, `Order ${orderNumber} not found`);
+  }
+
+  await context.sendOrderNotification(type, orderNumber, additionalData);
+  return { status: 202, body: { ok: true } };
+}
+
+/**
+ * POST /v1/tickets - Open the ticket of a payment-verified order now instead of waiting for the monitor
+ */
+async function handleCreateTicket(context, raw) {
+  const { orderNumber } = parseBody(raw, SCHEMAS.ticket);
+
+  const order = await Order.findOne({ orderNumber });
+  if (!order) {
+    throw new ApiError(404, `Order ${orderNumber} not found`);
+  }
+
+  if (order.discordChannelId === PENDING_CHANNEL_ID) {
+    return { status: 202, body: { ok: true, created: false, pending: true, channelId: null } };
+  }
+
+  if (hasTicketChannel(order)) {
+    return { status: 200, body: { ok: true, created: false, channelId: order.discordChannelId } };
+  }
+
+  if (order.status !== 'payment_verified') {
+    throw new ApiError(409, `Order ${orderNumber} is ${order.status}, only payment_verified orders get a ticket`);
+  }
+
+  const created = await paymentMonitor.createDiscordTicket(context.client, order);
+  const updated = await Order.findById(order._id).select('discordChannelId status');
+
+  return {
+    status: created ? 201 : 200,
+    body: { ok: true, created, channelId: updated.discordChannelId, status: updated.status }
+  };
+}
+
+/**
+ * GET /v1/stats - Queue and VCC inventory
+ */
+async function handleStats() {
+  const [queueSize, queueState, drain, vcc] = await Promise.all([
+    orderQueue.getQueueSize(),
+    orderQueue.getQueueState(),
+    orderQueue.getDrainEstimate(),
+    vccService.getVccStats()
+  ]);
+
+  return {
+    status: 200,
+    body: {
+      queue: {
+        size: queueSize,
+        paused: queueState.paused,
+        pausedReason: queueState.reason,
+        perHour: drain.perHour,
+        etaMinutes: drain.etaMinutes
+      },
+      vcc
+    }
+  };
+}
+
+const ROUTES = {
+  'POST /v1/notifications': handleNotification,
+  'POST /v1/tickets': handleCreateTicket,
+  'GET /v1/stats': handleStats
+};
+
+/**
+ * Handle one request: authenticate, route, respond
+ * @param {Object} context - { client, sendOrderNotification }
+ */
+async function handleRequest(context, req, res) {
+  const path = req.url.split('?')[0];
+  const route = ROUTES[`${req.method} ${path}`];
+
+  try {
+    if (!route) {
+      const knownPath = Object.keys(ROUTES).some(key => key.endsWith(` ${path}`));
+      throw new ApiError(knownPath ? 405 : 404, knownPath ? 'Method not allowed' : 'Not found');
+    }
+
+    const raw = await readBody(req);
+
+    const authError = verifyRequest(AUTOMATION_API_SECRET, { method: req.method, path, body: raw, headers: req.headers });
+    if (authError) {
+      console.warn(`⚠️ [Automation API] Refused ${req.method} ${path}: ${authError}`);
+      throw new ApiError(401, authError);
+    }
+
+    const { status, body } = await route(context, raw);
+    sendJson(res, status, body);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      sendJson(res, error.status, { ok: false, error: error.message, ...(error.details ? { details: error.details } : {}) });
+      return;
+    }
+
+    console.error(`❌ [Automation API] Error handling ${req.method} ${path}:`, error);
+    sendJson(res, 500, { ok: false, error: 'Internal error' });
+  }
+}
+
+/**
+ * Start the automation API
+ * @param {Object} client - Discord client
+ * @param {Object} handlers - { sendOrderNotification }
+ * @returns {Object|null} - HTTP server, or null if disabled
+ */
+function startAutomationApi(client, { sendOrderNotification }) {
+  if (!AUTOMATION_API_SECRET) {
+    console.warn('⚠️ AUTOMATION_API_SECRET not set, automation API disabled');
+    return null;
+  }
+
+  const context = { client, sendOrderNotification };
+  const server = http.createServer((req, res) => handleRequest(context, req, res));
+
+  server.on('error', error => {
+    console.error('❌ [Automation API] Server error:', error);
+  });
+
+  server.listen(AUTOMATION_API_PORT, AUTOMATION_API_HOST, () => {
+    console.log(`🔌 Automation API listening on http://${AUTOMATION_API_HOST}:${AUTOMATION_API_PORT}`);
+  });
+
+  return server;
+}
+
+module.exports = {
+  SCHEMAS,
+  validatePayload,
+  startAutomationApi
+};
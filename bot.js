@@ -1,9 +1,32 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, ChannelType, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { Client, GatewayIntentBits, ActionRowBuilder, UserSelectMenuBuilder } = require('discord.js');
 const mongoose = require('mongoose');
 const { Order, User, ChatMessage, DailyStats } = require('./models');
-const { handleSlashCommand } = require('./slashCommands');
+const {
+  handleSlashCommand,
+  handleAutocomplete,
+  handleWalletHistoryButton,
+  handleOrdersPageButton
+} = require('./slashCommands');
 const vccService = require('./vccService');
+const ticketService = require('./ticketService');
+const chatBridge = require('./chatBridge');
+const ticketComponents = require('./ticketComponents');
+const slaService = require('./slaService');
+const noteService = require('./noteService');
+const orderLifecycle = require('./orderLifecycle');
+const chargingService = require('./chargingService');
+const refundService = require('./refundService');
+const cancellationService = require('./cancellationService');
+const orderQueue = require('./orderQueue');
+const watchdogService = require('./watchdogService');
+const duplicateOrderService = require('./duplicateOrderService');
+const paymentMonitor = require('./paymentMonitor');
+const paymentReviewService = require('./paymentReviewService');
+const automationApi = require('./automationApi');
+const customerNotifier = require('./customerNotifier');
+const { parseDollarsToCents, parseUberLink } = require('./orderDetails');
+const { isStaffMember } = require('./staff');
 
 // Discord Bot Setup
 const client = new Client({
@@ -27,14 +50,6 @@ let alertCooldown = 60 * 60 * 1000; // Only alert once per hour
 
 const ORDER_NOTIFICATION_CHANNEL_ID = '1437507548122185840';
 
-// ============================================
-// PAYMENT VERIFICATION MONITORING
-// ============================================
-
-const PAYMENT_CHECK_INTERVAL = 10 * 1000; // Check every 10 seconds
-const TICKET_GUILD_ID = process.env.GUILD_ID; // Discord server ID
-const TICKET_CATEGORY_ID = process.env.CATEGORY_ID; // Category for order tickets
-
 function startVccInventoryMonitoring() {
   console.log(`📊 VCC Inventory Monitoring started (checking every ${VCC_CHECK_INTERVAL / 60000} minutes)`);
 
@@ -99,135 +114,14 @@ async function checkVccInventoryAndAlert() {
   }
 }
 
-function startPaymentVerificationMonitoring() {
-  console.log(`💳 Payment Verification Monitoring started (checking every ${PAYMENT_CHECK_INTERVAL / 1000} seconds)`);
-
-  // Start checking immediately, then every interval
-  checkPaymentVerifiedOrders();
-  setInterval(checkPaymentVerifiedOrders, PAYMENT_CHECK_INTERVAL);
-}
-
-async function checkPaymentVerifiedOrders() {
-  try {
-    // Find orders with payment verified but no Discord ticket created yet
-    const orders = await Order.find({
-      status: 'payment_verified',
-      discordChannelId: null
-    }).limit(10); // Process max 10 orders per check
-
-    if (orders.length > 0) {
-      console.log(`[Payment Monitor] Found ${orders.length} payment-verified order(s) without tickets`);
-
-      for (const order of orders) {
-        try {
-          await createDiscordTicket(order);
-        } catch (error) {
-          console.error(`❌ [Payment Monitor] Failed to create ticket for order ${order.orderNumber}:`, error);
-        }
-      }
-    }
-  } catch (error) {
-    console.error('❌ [Payment Monitor] Error checking payment-verified orders:', error);
-  }
-}
-
-async function createDiscordTicket(order) {
-  try {
-    // Fetch guild and category
-    const guild = await client.guilds.fetch(TICKET_GUILD_ID);
-    if (!guild) {
-      console.error(`❌ [Payment Monitor] Guild ${TICKET_GUILD_ID} not found`);
-      return;
-    }
-
-    const category = guild.channels.cache.get(TICKET_CATEGORY_ID);
-    if (!category) {
-      console.error(`❌ [Payment Monitor] Category ${TICKET_CATEGORY_ID} not found`);
-      return;
-    }
-
-    // Create ticket channel
-    const channelName = `order-${order.orderNumber}`;
-    const ticketChannel = await guild.channels.create({
-      name: channelName,
-      type: ChannelType.GuildText,
-      parent: TICKET_CATEGORY_ID,
-      permissionOverwrites: [
-        {
-          id: guild.id,
-          deny: [PermissionFlagsBits.ViewChannel]
-        },
-        {
-          id: client.user.id,
-          allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]
-        }
-      ]
-    });
-
-    console.log(`✅ [Payment Monitor] Created ticket channel #${channelName} (${ticketChannel.id})`);
-
-    // Fetch user details
-    const user = await User.findById(order.userId);
-    const userName = user ? (user.name || user.email || 'Unknown') : 'Unknown';
-
-    // Format payment method
-    let paymentInfo = '';
-    if (order.paymentMethod === 'venmo') {
-      paymentInfo = `💳 **Venmo** - $${(order.totalCents / 100).toFixed(2)}`;
-    } else if (order.paymentMethod === 'crypto') {
-      paymentInfo = `🔐 **Cryptocurrency** - $${(order.totalCents / 100).toFixed(2)}`;
-    }
-
-    // Create embed
-    const embed = {
-      color: 0x5865F2,
-      title: `🎫 New Order: ${order.orderNumber}`,
-      description: `Payment verified and ready for processing`,
-      fields: [
-        { name: '👤 Customer', value: userName, inline: true },
-        { name: '💰 Payment', value: paymentInfo, inline: true },
-        { name: '📍 Delivery Address', value: order.deliveryAddress || 'Not provided', inline: false },
-        { name: '🍔 Items', value: order.itemsDescription || 'See group order link', inline: false },
-        { name: '🔗 Group Order Link', value: order.groupOrderLink || 'Not provided', inline: false }
-      ],
-      footer: { text: 'Click Claim to start processing this order' },
-      timestamp: new Date()
-    };
-
-    // Create buttons
-    const claimButton = new ButtonBuilder()
-      .setCustomId(`claim_${order.orderNumber}`)
-      .setLabel('🎫 Claim Ticket')
-      .setStyle(ButtonStyle.Primary);
-
-    const row = new ActionRowBuilder().addComponents(claimButton);
-
-    // Send ticket message
-    await ticketChannel.send({
-      content: '@here New order ready for processing!',
-      embeds: [embed],
-      components: [row]
-    });
-
-    // Update order in database
-    order.discordChannelId = ticketChannel.id;
-    order.status = 'queued'; // Now available for automation queue
-    await order.save();
-
-    console.log(`✅ [Payment Monitor] Order ${order.orderNumber} updated: discordChannelId=${ticketChannel.id}, status=queued`);
-
-  } catch (error) {
-    console.error(`❌ [Payment Monitor] Error creating ticket for order ${order.orderNumber}:`, error);
-    throw error;
-  }
-}
-
 // ============================================
 // ORDER NOTIFICATION & DAILY STATS
 // ============================================
 
-async function sendOrderNotification(type, orderNumber, queueSize, additionalData = {}) {
+async function sendOrderNotification(type, orderNumber, additionalData = {}) {
   try {
+    const queueSize = await orderQueue.getQueueSize();
+
     const channel = await client.channels.fetch(ORDER_NOTIFICATION_CHANNEL_ID);
     if (!channel) {
       console.error(`❌ Order notification channel ${ORDER_NOTIFICATION_CHANNEL_ID} not found`);
@@ -266,9 +160,37 @@ async function sendOrderNotification(type, orderNumber, queueSize, additionalDat
       if (attempt >= maxAttempts) {
         await updateDailyStats('failure');
       }
+    } else if (type === 'delivered') {
+      // Completed by staff from the ticket - the automation already counted it (or never ran)
+      message = `✅ Order #${orderNumber} delivered`;
+      color = 0x57F287;
+
+      if (additionalData.uberLink) {
+        message += `\n🔗 ${additionalData.uberLink}`;
+      }
+      if (additionalData.deliveryNote) {
+        message += `\n🕒 ${additionalData.deliveryNote}`;
+      }
+
+    } else if (type === 'refund') {
+      const amountCents = additionalData.amountCents || 0;
+      message = `↩️ Order #${orderNumber} refunded $${(amountCents / 100).toFixed(2)}` +
+        ` (total refunded $${((additionalData.refundedCents || 0) / 100).toFixed(2)} of $${((additionalData.chargeCents || 0) / 100).toFixed(2)})`;
+      color = 0xFF9500;
+
+      if (additionalData.reason) {
+        message += `\n📝 ${additionalData.reason}`;
+      }
+
+      await updateDailyStats('refund', amountCents);
     }
 
-    await channel.send({ content: message });
+    // Failures get a Retry Automation button
+    const components = type === 'failure'
+      ? [new ActionRowBuilder().addComponents(ticketComponents.buildRetryButton(orderNumber))]
+      : [];
+
+    await channel.send({ content: message, components });
 
     console.log(`📢 [Order Notification] ${type}: #${orderNumber}`);
 
@@ -277,7 +199,7 @@ async function sendOrderNotification(type, orderNumber, queueSize, additionalDat
   }
 }
 
-async function updateDailyStats(type) {
+async function updateDailyStats(type, amountCents = 0) {
   try {
     const today = new Date().toISOString().split('T')[0];
 
@@ -287,7 +209,9 @@ async function updateDailyStats(type) {
       stats = new DailyStats({
         date: today,
         successCount: 0,
-        failureCount: 0
+        failureCount: 0,
+        refundCount: 0,
+        refundedCents: 0
       });
     }
 
@@ -295,6 +219,9 @@ async function updateDailyStats(type) {
       stats.successCount += 1;
     } else if (type === 'failure') {
       stats.failureCount += 1;
+    } else if (type === 'refund') {
+      stats.refundCount += 1;
+      stats.refundedCents += amountCents;
     }
 
     await stats.save();
@@ -313,18 +240,21 @@ async function getTodayStats() {
     if (!stats) {
       stats = {
         successCount: 0,
-        failureCount: 0
+        failureCount: 0,
+        refundCount: 0,
+        refundedCents: 0
       };
     }
 
     return stats;
   } catch (error) {
     console.error('❌ Error getting today stats:', error);
-    return { successCount: 0, failureCount: 0 };
+    return { successCount: 0, failureCount: 0, refundCount: 0, refundedCents: 0 };
   }
 }
 
-// Make functions globally accessible for Python automation script API calls
+// Kept for code running in this process (e.g. refund announcements); the automation worker
+// reaches it through the automation API
 global.sendOrderNotification = sendOrderNotification;
 
 // ============================================
@@ -336,7 +266,13 @@ client.once('ready', () => {
   console.log(`🔔 Logged in as ${client.user.tag}`);
 
   startVccInventoryMonitoring();
-  startPaymentVerificationMonitoring();
+  paymentMonitor.startPaymentMonitor(client);
+  chatBridge.startChatRelay(client);
+  slaService.startSlaMonitoring(client);
+  ticketService.startArchiveCleanup(client);
+  watchdogService.startOrderWatchdog(client);
+  paymentReviewService.startPaymentReview(client);
+  automationApi.startAutomationApi(client, { sendOrderNotification });
 });
 
 // ============================================
@@ -346,6 +282,9 @@ client.once('ready', () => {
 client.on('messageCreate', async (message) => {
   if (message.author.bot) return;
 
+  // Mirror ticket conversations to the web app's order chat
+  await chatBridge.recordTicketMessage(message);
+
   // /ping command - Simple test to verify bot is responding
   if (message.content.toLowerCase() === '/ping') {
     await message.reply('🏓 Pong! Bot is online and responding.');
@@ -420,7 +359,7 @@ client.on('messageCreate', async (message) => {
     try {
       const todayStats = await getTodayStats();
       const vccStats = await vccService.getVccStats();
-      const queuedOrders = await Order.countDocuments({ status: 'queued' });
+      const queuedOrders = await orderQueue.getQueueSize();
 
       const totalOrders = todayStats.successCount + todayStats.failureCount;
       const successRate = totalOrders > 0
@@ -453,6 +392,11 @@ client.on('messageCreate', async (message) => {
             name: '🔄 Current Queue',
             value: `${queuedOrders} orders`,
             inline: true
+          },
+          {
+            name: '↩️ Refunds',
+            value: `${todayStats.refundCount || 0} refunds\n💵 $${((todayStats.refundedCents || 0) / 100).toFixed(2)}`,
+            inline: true
           }
         ],
         footer: { text: 'Last 24 hours' },
@@ -578,21 +522,25 @@ client.on('messageCreate', async (message) => {
   // /close command
   if (message.content.toLowerCase() === '/close') {
     try {
-      if (!message.channel.name.startsWith('order-')) {
+      const { ticket, order } = await ticketService.getTicketContext(message.channel.id);
+
+      if (!ticket) {
         await message.reply('❌ This command can only be used in ticket channels.');
         return;
       }
 
-      const ticketNumber = message.channel.name.replace('order-', '');
-
-      const order = await Order.findOne({
-        orderNumber: ticketNumber,
-        discordChannelId: message.channel.id
-      });
+      if (!isStaffMember(message.member)) {
+        await message.reply('❌ Only staff can close tickets.');
+        return;
+      }
 
-      if (order && !order.charged) {
-        await message.reply('⚠️ **Warning:** This order has not been charged yet!\nUse the Success/Fail buttons to properly close this ticket, or use `/close` again to force close.');
+      if (ticket.state === 'closed') {
+        await message.reply('❌ This ticket is already closed.');
+        return;
+      }
 
+      if (!ticketService.isOrderSettled(order)) {
+        // Force close only if we already warned in the last 10 seconds
         const recent = await message.channel.messages.fetch({ limit: 5 });
         const hasWarning = Array.from(recent.values()).some(msg =>
           msg.author.id === client.user.id &&
@@ -601,20 +549,19 @@ client.on('messageCreate', async (message) => {
         );
 
         if (!hasWarning) {
+          await message.reply('⚠️ **Warning:** This order has not been charged yet!\nUse the Success/Fail buttons to properly close this ticket, or use `/close` again to force close.');
           return;
         }
       }
 
-      await message.reply('🔒 **Closing ticket...** Channel will be deleted in 5 seconds.');
+      const closeAction = ticketService.getCloseMode() === 'delete' ? 'deleted' : 'archived';
+      await message.reply(`🔒 **Closing ticket...** Channel will be ${closeAction} in 5 seconds.`);
 
-      setTimeout(async () => {
-        try {
-          await message.channel.delete();
-          console.log(`🔒 Closed ticket channel #${ticketNumber} via /close command`);
-        } catch (error) {
-          console.error('Error closing channel:', error);
-        }
-      }, 5000);
+      await ticketService.closeTicketChannel(message.channel, ticket, {
+        closedBy: message.author.id,
+        reason: ticketService.isOrderSettled(order) ? 'closed' : 'force closed',
+        delayMs: 5000
+      });
 
     } catch (error) {
       console.error('❌ Error handling /close command:', error);
@@ -674,12 +621,34 @@ client.on('interactionCreate', async (interaction) => {
     return handleSlashCommand(interaction);
   }
 
+  if (interaction.isAutocomplete()) {
+    return handleAutocomplete(interaction);
+  }
+
+  if (interaction.isUserSelectMenu()) {
+    return handleTransferSelect(interaction);
+  }
+
+  if (interaction.isModalSubmit()) {
+    return handleModalSubmit(interaction);
+  }
+
   if (!interaction.isButton()) return;
 
+  if (interaction.customId.startsWith('wallethistory_') || interaction.customId.startsWith('orderspage_')) {
+    if (!isStaffMember(interaction.member)) {
+      await interaction.reply({ content: '❌ Only staff can use these buttons.', ephemeral: true });
+      return;
+    }
+    return interaction.customId.startsWith('wallethistory_')
+      ? handleWalletHistoryButton(interaction)
+      : handleOrdersPageButton(interaction);
+  }
+
   const parts = interaction.customId.split('_');
   let action, type, ticketNumber;
 
-  if (parts[0] === 'claim') {
+  if (['claim', 'unclaim', 'transfer', 'notes', 'refund', 'cancel', 'requeue'].includes(parts[0])) {
     action = parts[0];
     ticketNumber = parts[1];
     type = null;
@@ -691,50 +660,153 @@ client.on('interactionCreate', async (interaction) => {
 
   console.log(`🔘 Button clicked: action=${action}, type=${type}, ticketNumber=${ticketNumber}`);
 
+  // Customers can see their ticket, but only staff can act on it
+  if (!isStaffMember(interaction.member)) {
+    await interaction.reply({
+      content: '❌ Only staff can use these buttons.',
+      ephemeral: true
+    });
+    return;
+  }
+
   try {
     if (action === 'claim') {
+      const ticket = await ticketService.getTicketByChannel(interaction.channel.id);
+      if (!ticket) {
+        await interaction.reply({
+          content: '❌ Ticket not found in database.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const claimed = await ticketService.claimTicket(ticket, interaction.user.id);
+      if (!claimed) {
+        await interaction.reply({
+          content: ticket.claimedBy
+            ? `❌ This ticket has already been claimed by <@${ticket.claimedBy}>.`
+            : '❌ This ticket can no longer be claimed.',
+          ephemeral: true
+        });
+        return;
+      }
+
       await interaction.reply({
         content: `🎫 **${interaction.user.username}** has claimed this ticket!`,
         ephemeral: false
       });
 
-      const claimRow = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId(`claim_${ticketNumber}`)
-            .setLabel(`🎫 Claimed by ${interaction.user.username}`)
-            .setStyle(ButtonStyle.Primary)
-            .setDisabled(true)
-        );
+      const claimedOrder = await Order.findById(ticket.orderId).select('duplicateCheck');
+      await interaction.message.edit({
+        components: ticketComponents.buildClaimedTicketRows(
+          ticketNumber,
+          interaction.user.username,
+          ticketService.getControlOptions(claimedOrder)
+        )
+      });
+
+    } else if (action === 'unclaim') {
+      const ticket = await ticketService.getTicketByChannel(interaction.channel.id);
+      if (!ticket || ticket.state !== 'claimed') {
+        await interaction.reply({
+          content: '❌ This ticket is not claimed.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (!ticketService.canManageClaim(ticket, interaction.member)) {
+        await interaction.reply({
+          content: ticketService.buildClaimRefusal(ticket, 'unclaim this ticket'),
+          ephemeral: true
+        });
+        return;
+      }
+
+      await interaction.deferUpdate();
+      await ticketService.releaseTicket(interaction.channel, ticket, { actorId: interaction.user.id });
+
+    } else if (action === 'transfer') {
+      const ticket = await ticketService.getTicketByChannel(interaction.channel.id);
+      if (!ticket || ticket.state !== 'claimed') {
+        await interaction.reply({
+          content: '❌ This ticket is not claimed.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (!ticketService.canManageClaim(ticket, interaction.member)) {
+        await interaction.reply({
+          content: ticketService.buildClaimRefusal(ticket, 'transfer this ticket'),
+          ephemeral: true
+        });
+        return;
+      }
 
-      const closeRow = new ActionRowBuilder()
+      const selectRow = new ActionRowBuilder()
         .addComponents(
-          new ButtonBuilder()
-            .setCustomId(`close_success_${ticketNumber}`)
-            .setLabel('✅ Success')
-            .setStyle(ButtonStyle.Success),
-          new ButtonBuilder()
-            .setCustomId(`close_fail_${ticketNumber}`)
-            .setLabel('❌ Fail')
-            .setStyle(ButtonStyle.Danger)
+          new UserSelectMenuBuilder()
+            .setCustomId(`transferto_${ticketNumber}`)
+            .setPlaceholder('Select the staff member to hand this ticket to')
+            .setMinValues(1)
+            .setMaxValues(1)
         );
 
-      await interaction.message.edit({ components: [claimRow, closeRow] });
+      await interaction.reply({
+        content: '🔁 Who should take over this ticket?',
+        components: [selectRow],
+        ephemeral: true
+      });
+
+    } else if (action === 'notes') {
+      const order = await Order.findOne({ orderNumber: ticketNumber });
+      if (!order) {
+        await interaction.reply({
+          content: '❌ Order not found in database.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      await interaction.reply({
+        embeds: [{
+          color: 0xFEE75C,
+          title: `📝 Notes: ${order.orderNumber}`,
+          description: noteService.formatNotes(order),
+          footer: { text: 'Internal - only visible to you. Add one with /note' }
+        }],
+        ephemeral: true
+      });
 
     } else if (action === 'closeticket') {
+      const ticket = await ticketService.getTicketByChannel(interaction.channel.id);
+      if (!ticket) {
+        await interaction.reply({
+          content: '❌ Ticket not found in database.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (ticket.state === 'closed') {
+        await interaction.reply({
+          content: '❌ This ticket is already closed.',
+          ephemeral: true
+        });
+        return;
+      }
+
       await interaction.reply({
-        content: `🔒 **Closing ticket #${ticketNumber}...** Channel will be deleted in 3 seconds.`,
+        content: `🔒 **Closing ticket #${ticketNumber}...** Channel will be ${ticketService.getCloseMode() === 'delete' ? 'deleted' : 'archived'} in 3 seconds.`,
         ephemeral: false
       });
 
-      setTimeout(async () => {
-        try {
-          await interaction.channel.delete();
-          console.log(`🗑️ Deleted ticket channel #${ticketNumber}`);
-        } catch (error) {
-          console.error('Error deleting channel:', error);
-        }
-      }, 3000);
+      await ticketService.closeTicketChannel(interaction.channel, ticket, {
+        closedBy: interaction.user.id,
+        reason: 'closed',
+        delayMs: 3000
+      });
 
     } else if (action === 'close') {
       let statusEmoji = '';
@@ -751,10 +823,7 @@ client.on('interactionCreate', async (interaction) => {
         shouldCharge = false;
       }
 
-      const order = await Order.findOne({
-        orderNumber: ticketNumber,
-        discordChannelId: interaction.channel.id
-      });
+      const { ticket, order } = await ticketService.getTicketContext(interaction.channel.id);
 
       if (!order) {
         await interaction.reply({
@@ -764,99 +833,675 @@ client.on('interactionCreate', async (interaction) => {
         return;
       }
 
-      if (shouldCharge && !order.charged) {
-        const user = await User.findById(order.userId);
-        if (!user) {
-          await interaction.reply({
-            content: '❌ User not found.',
-            ephemeral: true
-          });
-          return;
-        }
+      if (!ticketService.canManageClaim(ticket, interaction.member)) {
+        await interaction.reply({
+          content: ticketService.buildClaimRefusal(ticket, 'mark this order'),
+          ephemeral: true
+        });
+        return;
+      }
 
-        if (user.balanceCents < order.chargeCents) {
-          await interaction.reply({
-            content: '❌ User no longer has sufficient funds. Cannot mark as success.',
-            ephemeral: true
-          });
-          return;
+      if (!shouldCharge && order.charged) {
+        await interaction.reply({
+          content: '❌ This order has already been charged and can no longer be marked as failed.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (shouldCharge) {
+        // Reject illegal moves before asking for the link
+        if (order.status !== 'delivered') {
+          orderLifecycle.assertTransition(order, 'delivered');
         }
 
-        user.balanceCents -= order.chargeCents;
-        await user.save();
+        // Ask for the Uber tracking link first, the modal submit charges (handleSuccessModal)
+        await interaction.showModal(ticketComponents.buildSuccessModal(ticketNumber, order.uberLink));
+        return;
+      }
 
-        order.charged = true;
-        order.status = 'delivered';
-        order.completedAt = new Date();
-        await order.save();
+      await orderLifecycle.transitionOrder(order, 'failed', { actor: interaction.user.id, source: 'button' });
 
-        console.log(`✅ Charged $${(order.chargeCents / 100).toFixed(2)} for order #${ticketNumber}`);
+      await interaction.reply({
+        content: `${statusEmoji} **Ticket #${ticketNumber} marked as ${statusText}**\n\n💰 No charges applied.\n✅ Click "Close Ticket" when ready to close this channel.`,
+        ephemeral: false
+      });
+
+      await ticketService.completeTicket(ticket);
 
+      // Disable Success/Fail buttons and show Close Ticket button
+      await ticketComponents.updateTicketControls(
+        interaction.channel,
+        ticket,
+        ticketComponents.buildCompletedTicketRows(ticketNumber, statusText)
+      );
+
+    } else if (action === 'requeue') {
+      const order = await Order.findOne({ orderNumber: ticketNumber });
+      if (!order) {
         await interaction.reply({
-          content: `${statusEmoji} **Ticket #${ticketNumber} marked as ${statusText}**\n💳 Charged: $${(order.chargeCents / 100).toFixed(2)}\n👤 Customer balance: $${(user.balanceCents / 100).toFixed(2)}\n\n✅ Click "Close Ticket" when ready to close this channel.`,
-          ephemeral: false
+          content: `❌ Order #${ticketNumber} not found.`,
+          ephemeral: true
         });
-      } else {
-        order.status = 'failed';
-        order.charged = false;
-        order.completedAt = new Date();
-        await order.save();
+        return;
+      }
+
+      // In a claimed ticket only the claimer (or an admin) decides what happens to the order
+      const ticket = await ticketService.getTicketByChannel(interaction.channel.id);
+      if (ticket && ticket.state === 'claimed' && !ticketService.canManageClaim(ticket, interaction.member)) {
+        await interaction.reply({
+          content: ticketService.buildClaimRefusal(ticket, 'retry this order'),
+          ephemeral: true
+        });
+        return;
+      }
 
+      if (order.charged || order.status === 'delivered') {
         await interaction.reply({
-          content: `${statusEmoji} **Ticket #${ticketNumber} marked as ${statusText}**\n\n💰 No charges applied.\n✅ Click "Close Ticket" when ready to close this channel.`,
-          ephemeral: false
+          content: `❌ Order #${ticketNumber} has already been ${order.charged ? 'charged' : 'delivered'} and can't be retried.`,
+          ephemeral: true
         });
+        return;
       }
 
-      // Disable Success/Fail buttons and show Close Ticket button
-      const disabledClaimRow = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId(`claim_${ticketNumber}`)
-            .setLabel(`🎫 ${statusText}`)
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(true)
-        );
+      if (orderQueue.isAwaitingDuplicateDecision(order)) {
+        await interaction.reply({
+          content: `❌ Order #${ticketNumber} is flagged as a possible duplicate. Choose Merge, Cancel or Proceed first.`,
+          ephemeral: true
+        });
+        return;
+      }
 
-      const disabledCloseRow = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId(`close_success_${ticketNumber}`)
-            .setLabel('✅ Success')
-            .setStyle(ButtonStyle.Success)
-            .setDisabled(true),
-          new ButtonBuilder()
-            .setCustomId(`close_fail_${ticketNumber}`)
-            .setLabel('❌ Fail')
-            .setStyle(ButtonStyle.Danger)
-            .setDisabled(true)
-        );
+      await interaction.reply({
+        content: `🔁 Retry automation for order #${ticketNumber} (\`${order.status}\`, ${order.automationAttempts || 0} attempts so far)?`,
+        components: ticketComponents.buildRetryChoiceRows(ticketNumber),
+        ephemeral: true
+      });
 
-      const closeTicketRow = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId(`closeticket_ticket_${ticketNumber}`)
-            .setLabel('🗑️ Close Ticket')
-            .setStyle(ButtonStyle.Danger)
-        );
+    } else if (action === 'requeueconfirm') {
+      const order = await Order.findOne({ orderNumber: ticketNumber });
+      if (!order) {
+        await interaction.update({ content: `❌ Order #${ticketNumber} not found.`, components: [] });
+        return;
+      }
 
-      const messages = await interaction.channel.messages.fetch({ limit: 10 });
-      for (const msg of messages.values()) {
-        if (msg.components.length > 0 && msg.components[0].components[0].data.custom_id?.includes(ticketNumber)) {
-          await msg.edit({ components: [disabledClaimRow, disabledCloseRow, closeTicketRow] });
-          break;
-        }
+      const resetAttempts = type === 'reset';
+      const queued = await orderQueue.requeueOrder(order, {
+        actor: interaction.user.id,
+        source: 'button',
+        reason: resetAttempts ? 'retry automation (attempts reset)' : 'retry automation',
+        resetAttempts
+      });
+
+      await interaction.update({ content: `✅ Order #${ticketNumber} requeued.`, components: [] });
+      await interaction.channel.send(
+        `🔁 **Order #${ticketNumber} sent back to automation** by <@${interaction.user.id}> (queue position ${queued.queuePosition}${resetAttempts ? ', attempts reset' : ''})`
+      );
+
+    } else if (action === 'watchdog') {
+      await handleWatchdogButton(interaction, type, ticketNumber);
+
+    } else if (action === 'duplicate') {
+      await handleDuplicateButton(interaction, type, ticketNumber);
+
+    } else if (action === 'payreview') {
+      await handlePaymentReviewButton(interaction, type, ticketNumber);
+
+    } else if (action === 'refund') {
+      const { ticket, order } = await ticketService.getTicketContext(interaction.channel.id);
+
+      if (!order) {
+        await interaction.reply({
+          content: '❌ Order not found in database.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (!ticketService.canManageClaim(ticket, interaction.member)) {
+        await interaction.reply({
+          content: ticketService.buildClaimRefusal(ticket, 'refund this order'),
+          ephemeral: true
+        });
+        return;
+      }
+
+      const refundableCents = refundService.getRefundableCents(order);
+      if (order.status !== 'delivered' || refundableCents === 0) {
+        await interaction.reply({
+          content: order.status !== 'delivered'
+            ? `❌ Only delivered orders can be refunded (order is \`${order.status}\`).`
+            : '❌ This order has nothing left to refund.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      await interaction.showModal(ticketComponents.buildRefundModal(ticketNumber, refundableCents));
+
+    } else if (action === 'cancel') {
+      const { ticket, order } = await ticketService.getTicketContext(interaction.channel.id);
+
+      if (!order) {
+        await interaction.reply({
+          content: '❌ Order not found in database.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      // Once claimed, the claimer decides the outcome (Success/Fail)
+      if (ticket.state !== 'open') {
+        await interaction.reply({
+          content: '❌ Only unclaimed tickets can be cancelled from here. Use `/cancel-order` instead.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (!cancellationService.isCancellable(order)) {
+        await interaction.reply({
+          content: `❌ Order #${ticketNumber} is \`${order.status}\` and can no longer be cancelled.`,
+          ephemeral: true
+        });
+        return;
       }
+
+      await interaction.showModal(ticketComponents.buildCancelModal(ticketNumber));
     }
 
   } catch (error) {
-    console.error('❌ Error handling button interaction:', error);
+    const content = error instanceof orderLifecycle.InvalidTransitionError
+      ? `❌ ${error.message}`
+      : '❌ An error occurred processing your request.';
+
+    if (!(error instanceof orderLifecycle.InvalidTransitionError)) {
+      console.error('❌ Error handling button interaction:', error);
+    }
+
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp({ content, ephemeral: true });
+    } else {
+      await interaction.reply({ content, ephemeral: true });
+    }
+  }
+});
+
+/**
+ * Handle the Requeue / Take Manually / Cancel buttons on a watchdog alert
+ * Errors (e.g. InvalidTransitionError) are handled by the button handler.
+ */
+async function handleWatchdogButton(interaction, type, orderNumber) {
+  const order = await Order.findOne({ orderNumber });
+  if (!order) {
+    await interaction.reply({ content: `❌ Order #${orderNumber} not found.`, ephemeral: true });
+    return;
+  }
+
+  if (type === 'requeue') {
+    const queued = await orderQueue.requeueOrder(order, {
+      actor: interaction.user.id,
+      source: 'watchdog',
+      reason: `watchdog: ${order.status}`
+    });
+
+    await interaction.update({
+      content: `🔁 Requeued by <@${interaction.user.id}> (queue position ${queued.queuePosition})`,
+      components: ticketComponents.disableMessageComponents(interaction.message)
+    });
+
+  } else if (type === 'take') {
+    const { channel, error } = await ticketService.takeOrderTicket(client, order, interaction.member);
+    if (error) {
+      await interaction.reply({ content: error, ephemeral: true });
+      return;
+    }
+
+    await interaction.update({
+      content: `🙋 Taken over by <@${interaction.user.id}> in <#${channel.id}>`,
+      components: ticketComponents.disableMessageComponents(interaction.message)
+    });
+
+  } else if (type === 'cancel') {
+    if (!cancellationService.isCancellable(order)) {
+      await interaction.reply({
+        content: `❌ Order #${orderNumber} is \`${order.status}\` and can no longer be cancelled.`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.showModal(ticketComponents.buildCancelModal(orderNumber, 'watchdogcancel'));
+  }
+}
+
+/**
+ * Handle the Merge / Cancel / Proceed buttons on a duplicate order warning
+ * Errors (e.g. InvalidTransitionError) are handled by the button handler.
+ */
+async function handleDuplicateButton(interaction, decision, orderNumber) {
+  const order = await Order.findOne({ orderNumber });
+  if (!order) {
+    await interaction.reply({ content: `❌ Order #${orderNumber} not found.`, ephemeral: true });
+    return;
+  }
+
+  if (decision !== 'proceed' && !cancellationService.isCancellable(order)) {
     await interaction.reply({
-      content: '❌ An error occurred processing your request.',
+      content: `❌ Order #${orderNumber} is \`${order.status}\` and can no longer be cancelled.`,
       ephemeral: true
     });
+    return;
   }
-});
+
+  await interaction.deferUpdate();
+
+  const result = await duplicateOrderService.resolveDuplicate(client, order, decision, {
+    actor: interaction.user.id,
+    actorName: interaction.user.username
+  });
+
+  if (result.error) {
+    await interaction.followUp({ content: result.error, ephemeral: true });
+    return;
+  }
+
+  const outcome = {
+    merge: `🔀 Merged into **${result.mergedInto}** and cancelled`,
+    cancel: '🚫 Cancelled as a duplicate',
+    proceed: `✅ Not a duplicate - queued at position ${result.order.queuePosition}`
+  }[decision];
+
+  await interaction.editReply({
+    content: `${outcome} by <@${interaction.user.id}>`,
+    components: ticketComponents.disableMessageComponents(interaction.message)
+  });
+}
+
+/**
+ * Handle the Approve / Reject buttons on a payment review
+ * Errors (e.g. InvalidTransitionError) are handled by the button handler.
+ */
+async function handlePaymentReviewButton(interaction, type, orderNumber) {
+  const order = await Order.findOne({ orderNumber });
+  if (!order) {
+    await interaction.reply({ content: `❌ Order #${orderNumber} not found.`, ephemeral: true });
+    return;
+  }
+
+  if (order.status !== 'payment_submitted') {
+    await interaction.update({
+      content: `ℹ️ Order is now \`${order.status}\`, nothing left to review.`,
+      components: ticketComponents.disableMessageComponents(interaction.message)
+    });
+    return;
+  }
+
+  if (type === 'approve') {
+    await paymentReviewService.approvePayment(order, { actor: interaction.user.id });
+
+    await interaction.update({
+      content: `✅ Approved by <@${interaction.user.id}> - the order's ticket will open shortly`,
+      components: ticketComponents.disableMessageComponents(interaction.message)
+    });
+
+  } else if (type === 'reject') {
+    await interaction.showModal(paymentReviewService.buildRejectModal(orderNumber));
+  }
+}
+
+/**
+ * Reject a payment with the reason from a payment review's Reject modal
+ */
+async function handlePaymentRejectModal(interaction, orderNumber) {
+  const reason = interaction.fields.getTextInputValue('reason').trim();
+
+  if (!reason) {
+    await interaction.reply({ content: '❌ A reason is required.', ephemeral: true });
+    return;
+  }
+
+  try {
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      await interaction.reply({ content: `❌ Order #${orderNumber} not found.`, ephemeral: true });
+      return;
+    }
+
+    await interaction.deferUpdate();
+
+    await paymentReviewService.rejectPayment(client, order, {
+      actor: interaction.user.id,
+      reason
+    });
+
+    await interaction.editReply({
+      content: `❌ Rejected by <@${interaction.user.id}> - customer notified\n📝 ${reason}`,
+      components: ticketComponents.disableMessageComponents(interaction.message)
+    });
+  } catch (error) {
+    const content = error instanceof orderLifecycle.InvalidTransitionError
+      ? `❌ ${error.message}`
+      : '❌ An error occurred rejecting the payment.';
+
+    if (!(error instanceof orderLifecycle.InvalidTransitionError)) {
+      console.error('❌ Error rejecting payment:', error);
+    }
+
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp({ content, ephemeral: true });
+    } else {
+      await interaction.reply({ content, ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Cancel an order with the reason from a watchdog alert's Cancel modal
+ */
+async function handleWatchdogCancelModal(interaction, orderNumber) {
+  const reason = interaction.fields.getTextInputValue('reason').trim();
+
+  if (!reason) {
+    await interaction.reply({ content: '❌ A reason is required.', ephemeral: true });
+    return;
+  }
+
+  try {
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      await interaction.reply({ content: `❌ Order #${orderNumber} not found.`, ephemeral: true });
+      return;
+    }
+
+    await interaction.deferUpdate();
+
+    const { vccReturned, vccFlagged } = await cancellationService.cancelOrder(client, order, {
+      actor: interaction.user.id,
+      reason,
+      source: 'watchdog'
+    });
+
+    const vccNote = vccReturned ? ', VCC returned to inventory' : vccFlagged ? ', used VCC flagged for review' : '';
+    await interaction.editReply({
+      content: `🚫 Cancelled by <@${interaction.user.id}>${vccNote}\n📝 ${reason}`,
+      components: ticketComponents.disableMessageComponents(interaction.message)
+    });
+  } catch (error) {
+    const content = error instanceof orderLifecycle.InvalidTransitionError
+      ? `❌ ${error.message}`
+      : '❌ An error occurred cancelling the order.';
+
+    if (!(error instanceof orderLifecycle.InvalidTransitionError)) {
+      console.error('❌ Error cancelling order from watchdog alert:', error);
+    }
+
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp({ content, ephemeral: true });
+    } else {
+      await interaction.reply({ content, ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Handle the staff picker shown by the Transfer button
+ */
+async function handleTransferSelect(interaction) {
+  const [prefix] = interaction.customId.split('_');
+  if (prefix !== 'transferto') return;
+
+  try {
+    const ticket = await ticketService.getTicketByChannel(interaction.channel.id);
+    if (!ticket || !ticketService.canManageClaim(ticket, interaction.member)) {
+      await interaction.update({ content: '❌ You can no longer transfer this ticket.', components: [] });
+      return;
+    }
+
+    const toMember = interaction.members.first() || await interaction.guild.members.fetch(interaction.values[0]);
+    const { error } = await ticketService.reassignTicket(interaction.channel, ticket, {
+      actorId: interaction.user.id,
+      toMember
+    });
+
+    await interaction.update({
+      content: error || `✅ Ticket transferred to <@${toMember.id}>.`,
+      components: []
+    });
+  } catch (error) {
+    console.error('❌ Error handling ticket transfer:', error);
+    await interaction.update({ content: '❌ An error occurred transferring this ticket.', components: [] });
+  }
+}
+
+/**
+ * Handle modal submissions (refund amount/reason, cancel reason)
+ */
+async function handleModalSubmit(interaction) {
+  const [prefix, orderNumber] = interaction.customId.split('_');
+
+  if (!isStaffMember(interaction.member)) {
+    await interaction.reply({ content: '❌ Only staff can use this form.', ephemeral: true });
+    return;
+  }
+
+  if (prefix === 'refundmodal') {
+    return handleRefundModal(interaction, orderNumber);
+  }
+  if (prefix === 'cancelmodal') {
+    return handleCancelModal(interaction, orderNumber);
+  }
+  if (prefix === 'successmodal') {
+    return handleSuccessModal(interaction, orderNumber);
+  }
+  if (prefix === 'watchdogcancel') {
+    return handleWatchdogCancelModal(interaction, orderNumber);
+  }
+  if (prefix === 'payrejectmodal') {
+    return handlePaymentRejectModal(interaction, orderNumber);
+  }
+}
+
+/**
+ * Save the Uber tracking link from the Success modal, charge the order and tell everyone
+ */
+async function handleSuccessModal(interaction, orderNumber) {
+  const uberLink = parseUberLink(interaction.fields.getTextInputValue('uberlink'));
+  const deliveryNote = interaction.fields.getTextInputValue('note').trim() || null;
+
+  // The charge is a transaction that can outlast Discord's 3 second reply window (and retries on
+  // transient errors), so acknowledge first. Problems are answered privately, the result publicly.
+  await interaction.deferReply({ ephemeral: true });
+
+  if (!uberLink) {
+    await interaction.editReply('❌ That doesn\'t look like an Uber Eats tracking link (expected https://…ubereats.com/… or https://…uber.com/…).');
+    return;
+  }
+
+  try {
+    const { ticket, order } = await ticketService.getTicketContext(interaction.channel.id);
+    if (!order || order.orderNumber !== orderNumber) {
+      await interaction.editReply('❌ Order not found for this ticket.');
+      return;
+    }
+
+    if (!ticketService.canManageClaim(ticket, interaction.member)) {
+      await interaction.editReply(ticketService.buildClaimRefusal(ticket, 'mark this order'));
+      return;
+    }
+
+    // Refuse before writing anything if the order can't be delivered anymore (e.g. failed or cancelled meanwhile)
+    orderLifecycle.assertTransition(order, 'delivered');
+
+    // Saved before charging so the link is kept even if the charge fails
+    await Order.updateOne(
+      { _id: order._id, status: order.status },
+      { $set: { uberLink, deliveryNote, updatedAt: new Date() } }
+    );
+
+    // Single charging path - atomic and never charges the same order twice
+    let result;
+    try {
+      result = await chargingService.chargeOrder(order._id, { actor: interaction.user.id, source: 'button' });
+    } catch (error) {
+      if (error instanceof chargingService.ChargeError) {
+        await interaction.editReply(error.code === 'INSUFFICIENT_FUNDS'
+          ? `❌ User no longer has sufficient funds. Cannot mark as success.\n${error.message}`
+          : `❌ ${error.message}`);
+        return;
+      }
+      throw error;
+    }
+
+    const balance = result.user ? `$${(result.user.balanceCents / 100).toFixed(2)}` : 'N/A';
+    const chargeLine = result.alreadyCharged
+      ? '💳 Already charged, no new charge applied.'
+      : `💳 Charged: $${(result.chargedCents / 100).toFixed(2)}`;
+    const noteLine = deliveryNote ? `\n🕒 ${deliveryNote}` : '';
+
+    await interaction.editReply(`✅ Order #${orderNumber} marked as success.`);
+    await interaction.followUp({
+      content: `✅ **Ticket #${orderNumber} marked as SUCCESS**\n🔗 ${uberLink}${noteLine}\n${chargeLine}\n👤 Customer balance: ${balance}\n\n✅ Click "Close Ticket" when ready to close this channel.`,
+      ephemeral: false
+    });
+
+    await ticketService.completeTicket(ticket);
+
+    // Disable Success/Fail buttons and show Close Ticket (and Refund) buttons
+    await ticketComponents.updateTicketControls(
+      interaction.channel,
+      ticket,
+      ticketComponents.buildCompletedTicketRows(orderNumber, 'SUCCESS', { refundable: true })
+    );
+
+    await sendOrderNotification('delivered', orderNumber, { uberLink, deliveryNote });
+
+    await customerNotifier.notifyCustomer(client, result.order, {
+      message: `✅ Your BitePlug order **${orderNumber}** is on its way!\n🔗 Track it here: ${uberLink}${noteLine}`,
+      update: { deliveredAt: result.order.completedAt, uberLink, deliveryNote }
+    });
+  } catch (error) {
+    const content = error instanceof orderLifecycle.InvalidTransitionError
+      ? `❌ ${error.message}`
+      : '❌ An error occurred processing your request.';
+
+    if (!(error instanceof orderLifecycle.InvalidTransitionError)) {
+      console.error('❌ Error completing order from Success modal:', error);
+    }
+
+    await interaction.editReply(content).catch(() => interaction.followUp({ content, ephemeral: true }));
+  }
+}
+
+/**
+ * Refund the ticket's order with the amount and reason from the Refund modal
+ */
+async function handleRefundModal(interaction, orderNumber) {
+  const amountCents = parseDollarsToCents(interaction.fields.getTextInputValue('amount'));
+  const reason = interaction.fields.getTextInputValue('reason').trim();
+
+  if (amountCents === null || amountCents <= 0) {
+    await interaction.reply({ content: '❌ Enter the amount as dollars, e.g. `12.50`.', ephemeral: true });
+    return;
+  }
+
+  try {
+    const { ticket, order } = await ticketService.getTicketContext(interaction.channel.id);
+    if (!order || order.orderNumber !== orderNumber) {
+      await interaction.reply({ content: '❌ Order not found for this ticket.', ephemeral: true });
+      return;
+    }
+
+    if (!ticketService.canManageClaim(ticket, interaction.member)) {
+      await interaction.reply({
+        content: ticketService.buildClaimRefusal(ticket, 'refund this order'),
+        ephemeral: true
+      });
+      return;
+    }
+
+    let result;
+    try {
+      result = await refundService.refundOrder(order._id, amountCents, {
+        actor: interaction.user.id,
+        reason,
+        source: 'button'
+      });
+    } catch (error) {
+      if (error instanceof refundService.RefundError) {
+        await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+        return;
+      }
+      throw error;
+    }
+
+    await interaction.reply({
+      content: `↩️ **Refunded $${(result.amountCents / 100).toFixed(2)}** on order #${orderNumber} by <@${interaction.user.id}>\n` +
+        `📝 ${reason}\n💳 Total refunded: $${(result.order.refundedCents / 100).toFixed(2)} of $${(result.order.chargeCents / 100).toFixed(2)}`,
+      ephemeral: false
+    });
+
+    await refundService.announceRefund(client, result.order, result.amountCents, reason);
+  } catch (error) {
+    console.error('❌ Error handling refund:', error);
+
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp({ content: '❌ An error occurred processing the refund.', ephemeral: true });
+    } else {
+      await interaction.reply({ content: '❌ An error occurred processing the refund.', ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Cancel the ticket's order with the reason from the Cancel modal
+ */
+async function handleCancelModal(interaction, orderNumber) {
+  const reason = interaction.fields.getTextInputValue('reason').trim();
+
+  if (!reason) {
+    await interaction.reply({ content: '❌ A reason is required.', ephemeral: true });
+    return;
+  }
+
+  try {
+    const { ticket, order } = await ticketService.getTicketContext(interaction.channel.id);
+    if (!order || order.orderNumber !== orderNumber) {
+      await interaction.reply({ content: '❌ Order not found for this ticket.', ephemeral: true });
+      return;
+    }
+
+    if (ticket.state !== 'open') {
+      await interaction.reply({ content: '❌ This ticket was claimed meanwhile. Use `/cancel-order` instead.', ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const { vccReturned, vccFlagged } = await cancellationService.cancelOrder(client, order, {
+      actor: interaction.user.id,
+      reason,
+      source: 'button'
+    });
+
+    const vccNote = vccReturned ? ' and its VCC returned to inventory' : vccFlagged ? ' (its used VCC was flagged for review)' : '';
+    await interaction.editReply(`✅ Order #${orderNumber} cancelled${vccNote}.`);
+  } catch (error) {
+    const content = error instanceof orderLifecycle.InvalidTransitionError
+      ? `❌ ${error.message}`
+      : '❌ An error occurred cancelling the order.';
+
+    if (!(error instanceof orderLifecycle.InvalidTransitionError)) {
+      console.error('❌ Error cancelling order:', error);
+    }
+
+    if (interaction.replied || interaction.deferred) {
+      await interaction.editReply(content);
+    } else {
+      await interaction.reply({ content, ephemeral: true });
+    }
+  }
+}
 
 // ============================================
 // CONNECT TO MONGODB & START BOT
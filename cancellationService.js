@@ -0,0 +1,82 @@
+// Order Cancellation Service
+// Cancels an order that has not been delivered: takes it out of the automation queue, returns its
+// VCC to inventory (or flags it for review if it was already used), tells the customer why and
+// closes its ticket through the normal close flow.
+
+const orderLifecycle = require('./orderLifecycle');
+const vccService = require('./vccService');
+const ticketService = require('./ticketService');
+const customerNotifier = require('./customerNotifier');
+
+/**
+ * Whether an order can still be cancelled
+ * @param {Object} order - Order document
+ */
+function isCancellable(order) {
+  return !order.charged && orderLifecycle.canTransition(order.status, 'cancelled');
+}
+
+/**
+ * Cancel an order
+ * @param {Object} client - Discord client
+ * @param {Object} order - Order document
+ * @param {Object} options - { actor, reason, source }
+ * @returns {Object} - { order, vccReturned, vccFlagged, ticketClosed }
+ * @throws {InvalidTransitionError} - If the order is past the point where it can be cancelled
+ */
+async function cancelOrder(client, order, { actor = 'system', reason, source = 'system' }) {
+  // Clearing queuePosition takes the order out of the automation queue
+  const cancelled = await orderLifecycle.transitionOrder(order, 'cancelled', {
+    actor,
+    source,
+    reason,
+    set: { queuePosition: null, assignedVccId: null, vccString: null }
+  });
+
+  // Only a card that was reserved but never used goes back; a used one may already be charged
+  let vccReturned = false;
+  let vccFlagged = false;
+  if (order.assignedVccId) {
+    try {
+      vccReturned = Boolean(await vccService.returnVccToInventory(order.assignedVccId, order.orderNumber));
+      if (!vccReturned) {
+        vccFlagged = Boolean(await vccService.flagVccForReview(
+          order.assignedVccId,
+          order.orderNumber,
+          `order cancelled while ${order.status}: ${reason}`
+        ));
+      }
+    } catch (error) {
+      console.error(`❌ [Cancel] Failed to release VCC of order ${order.orderNumber}:`, error);
+    }
+  }
+
+  await customerNotifier.notifyCustomer(client, cancelled, {
+    message: `🚫 Your BitePlug order **${cancelled.orderNumber}** has been cancelled.\n📝 Reason: ${reason}\n💰 You have not been charged for this order.`,
+    update: { cancelledAt: cancelled.completedAt, reason }
+  });
+
+  let ticketClosed = false;
+  const ticket = await ticketService.getOpenTicketForOrder(cancelled._id);
+  if (ticket) {
+    const channel = await client.channels.fetch(ticket.channelId).catch(() => null);
+    if (channel) {
+      try {
+        await channel.send(`🚫 **Order #${cancelled.orderNumber} cancelled** by ${actor === 'system' ? 'the system' : `<@${actor}>`}\n📝 ${reason}\n\nThis ticket will be closed shortly.`);
+        await ticketService.closeTicketChannel(channel, ticket, { closedBy: actor, reason: `cancelled: ${reason}` });
+        ticketClosed = true;
+      } catch (error) {
+        // Order stays cancelled, the ticket can still be closed by hand
+        console.error(`❌ [Cancel] Failed to close ticket for order ${cancelled.orderNumber}:`, error);
+      }
+    }
+  }
+
+  console.log(`🚫 [Cancel] Order ${cancelled.orderNumber} cancelled (${source}, ${actor}): ${reason}`);
+  return { order: cancelled, vccReturned, vccFlagged, ticketClosed };
+}
+
+module.exports = {
+  isCancellable,
+  cancelOrder
+};
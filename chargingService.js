@@ -0,0 +1,114 @@
+// Order Charging Service
+// The single path for charging a customer for an order. The balance debit and the order update
+// (with its ledger entry) happen in one MongoDB transaction, and an order can only ever be charged once.
+
+const mongoose = require('mongoose');
+const { Order, User } = require('./models');
+const orderLifecycle = require('./orderLifecycle');
+const ledgerService = require('./ledgerService');
+
+class ChargeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ChargeError';
+    this.code = code; // ORDER_NOT_FOUND | USER_NOT_FOUND | INSUFFICIENT_FUNDS
+  }
+}
+
+/**
+ * Charge an order and mark it delivered
+ * Idempotent per order: if the order is already charged, nothing is debited again (the order is
+ * only moved to delivered if it isn't there yet, e.g. after a reopen).
+ * @param {string|Object} orderId - Order ObjectId
+ * @param {Object} options - { actor, source }
+ * @returns {Object} - { order, user, chargedCents, alreadyCharged }
+ * @throws {ChargeError|InvalidTransitionError}
+ */
+async function chargeOrder(orderId, { actor = 'system', source = 'system' } = {}) {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    // withTransaction retries on transient errors (e.g. a concurrent charge of the same order)
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId).session(session);
+      if (!order) {
+        throw new ChargeError('ORDER_NOT_FOUND', 'Order not found.');
+      }
+
+      if (order.charged) {
+        const delivered = order.status === 'delivered'
+          ? order
+          : await orderLifecycle.transitionOrder(order, 'delivered', { actor, source, session });
+
+        const user = await User.findById(order.userId).session(session);
+        result = { order: delivered, user, chargedCents: 0, alreadyCharged: true };
+        return;
+      }
+
+      orderLifecycle.assertTransition(order, 'delivered');
+
+      // Conditional debit plus ledger entry - never takes the balance below zero
+      let user;
+      if (order.chargeCents > 0) {
+        ({ user } = await debitForOrder(order, actor, session));
+      } else {
+        user = await User.findById(order.userId).session(session);
+        if (!user) {
+          throw new ChargeError('USER_NOT_FOUND', 'User not found.');
+        }
+      }
+
+      const delivered = await orderLifecycle.transitionOrder(order, 'delivered', {
+        actor,
+        source,
+        set: { charged: true },
+        filter: { charged: { $ne: true } },
+        session
+      });
+
+      result = { order: delivered, user, chargedCents: order.chargeCents, alreadyCharged: false };
+    });
+
+    if (result.alreadyCharged) {
+      console.log(`ℹ️ [Charging] Order ${result.order.orderNumber} was already charged, no new charge (${source}, ${actor})`);
+    } else {
+      console.log(`✅ [Charging] Charged $${(result.chargedCents / 100).toFixed(2)} for order ${result.order.orderNumber} (${source}, ${actor})`);
+    }
+
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Debit an order's charge from its customer's balance, inside the caller's transaction
+ * @param {Object} order - Order document
+ * @param {string} actor - Who triggered the charge
+ * @param {Object} session - Mongoose transaction session
+ * @returns {Object} - { user, entry }
+ * @throws {ChargeError}
+ */
+async function debitForOrder(order, actor, session) {
+  try {
+    return await ledgerService.applyBalanceChange(order.userId, -order.chargeCents, {
+      type: 'charge',
+      actor,
+      reason: `Order ${order.orderNumber}`,
+      orderId: order._id,
+      session
+    });
+  } catch (error) {
+    if (error instanceof ledgerService.BalanceError) {
+      throw new ChargeError(error.code, error.message);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  ChargeError,
+  chargeOrder
+};
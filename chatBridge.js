@@ -0,0 +1,139 @@
+// Ticket Chat Bridge
+// Two-way bridge between ticket channels and the web app's order chat (ChatMessage collection)
+
+const { ChatMessage } = require('./models');
+const ticketService = require('./ticketService');
+const transcriptService = require('./transcriptService');
+
+const CHAT_RELAY_INTERVAL = 5 * 1000; // Check for web messages every 5 seconds
+const CHAT_RELAY_LOOKBACK = 24 * 60 * 60 * 1000; // Only relay web messages from the last 24 hours
+const CHAT_RELAY_BATCH_SIZE = 50;
+const CHAT_RELAY_MAX_ATTEMPTS = 5; // Give up on a message after this many failed relays
+
+let relayRunning = false;
+
+/**
+ * Record a Discord message as a ChatMessage if it was sent in a ticket channel
+ * @param {Object} message - Discord message (bot messages should be skipped by the caller)
+ * @returns {Object|null} - Created ChatMessage, or null if the channel is not a ticket
+ */
+async function recordTicketMessage(message) {
+  try {
+    const ticket = await ticketService.getTicketByChannel(message.channel.id);
+    if (!ticket || ticket.state === 'closed') {
+      return null;
+    }
+
+    return await ChatMessage.create({
+      orderId: ticket.orderId,
+      discordChannelId: message.channel.id,
+      discordMessageId: message.id,
+      author: message.member?.displayName || message.author.username,
+      content: transcriptService.getMessageContent(message),
+      isStaff: transcriptService.isStaffMessage(message),
+      relayedAt: new Date(),
+      timestamp: message.createdAt
+    });
+  } catch (error) {
+    console.error('❌ [Chat Bridge] Error recording ticket message:', error);
+    return null;
+  }
+}
+
+/**
+ * Count a failed relay, and stop retrying the message once it reached CHAT_RELAY_MAX_ATTEMPTS
+ * so undeliverable messages can't fill every batch.
+ * @param {Object} chatMessage - ChatMessage document
+ */
+async function recordRelayFailure(chatMessage) {
+  try {
+    const attempts = (chatMessage.relayAttempts || 0) + 1;
+    const givenUp = attempts >= CHAT_RELAY_MAX_ATTEMPTS;
+
+    await ChatMessage.updateOne(
+      { _id: chatMessage._id },
+      { $set: { relayAttempts: attempts, relayFailedAt: givenUp ? new Date() : null } }
+    );
+
+    if (givenUp) {
+      console.warn(`⚠️ [Chat Bridge] Gave up relaying message ${chatMessage._id} after ${attempts} attempts`);
+    }
+  } catch (error) {
+    console.error(`❌ [Chat Bridge] Error recording relay failure for message ${chatMessage._id}:`, error);
+  }
+}
+
+/**
+ * Post customer messages written by the web app into their ticket channels
+ * @param {Object} client - Discord client
+ */
+async function relayWebMessages(client) {
+  if (relayRunning) return;
+  relayRunning = true;
+
+  try {
+    const messages = await ChatMessage.find({
+      relayedAt: null,
+      relayFailedAt: null,
+      discordMessageId: null,
+      isStaff: false,
+      timestamp: { $gte: new Date(Date.now() - CHAT_RELAY_LOOKBACK) }
+    })
+      .sort({ timestamp: 1 })
+      .limit(CHAT_RELAY_BATCH_SIZE);
+
+    let relayed = 0;
+
+    for (const chatMessage of messages) {
+      try {
+        const ticket = await ticketService.getTicketByChannel(chatMessage.discordChannelId);
+
+        if (!ticket || ticket.state === 'closed') {
+          // Nowhere to post it - mark handled so it isn't retried forever
+          chatMessage.relayedAt = new Date();
+          await chatMessage.save();
+          continue;
+        }
+
+        const channel = await client.channels.fetch(chatMessage.discordChannelId);
+        const sent = await channel.send({
+          content: `💬 **${chatMessage.author}** (customer): ${chatMessage.content}`,
+          allowedMentions: { parse: [] }
+        });
+
+        chatMessage.discordMessageId = sent.id;
+        chatMessage.relayedAt = new Date();
+        await chatMessage.save();
+        relayed += 1;
+      } catch (error) {
+        console.error(`❌ [Chat Bridge] Failed to relay message ${chatMessage._id}:`, error);
+        await recordRelayFailure(chatMessage);
+      }
+    }
+
+    if (relayed > 0) {
+      console.log(`💬 [Chat Bridge] Relayed ${relayed} web message(s) to Discord`);
+    }
+  } catch (error) {
+    console.error('❌ [Chat Bridge] Error relaying web messages:', error);
+  } finally {
+    relayRunning = false;
+  }
+}
+
+/**
+ * Start relaying web messages into ticket channels
+ * @param {Object} client - Discord client
+ */
+function startChatRelay(client) {
+  console.log(`💬 Chat Bridge started (checking every ${CHAT_RELAY_INTERVAL / 1000} seconds)`);
+
+  relayWebMessages(client);
+  setInterval(() => relayWebMessages(client), CHAT_RELAY_INTERVAL);
+}
+
+module.exports = {
+  recordTicketMessage,
+  relayWebMessages,
+  startChatRelay
+};
@@ -1,6 +1,22 @@
 // Discord Slash Command Definitions
 // These commands will be registered with Discord's API
 
+// Ways to pick the customer for /wallet subcommands
+const WALLET_TARGET_OPTIONS = [
+  {
+    name: 'user',
+    description: 'The customer\'s Discord account',
+    type: 6, // USER type
+    required: false
+  },
+  {
+    name: 'email',
+    description: 'The customer\'s account email',
+    type: 3, // STRING type
+    required: false
+  }
+];
+
 module.exports = [
   {
     name: 'ping',
@@ -20,7 +36,15 @@ module.exports = [
   },
   {
     name: 'close',
-    description: 'Close the current ticket channel (order channel only)'
+    description: 'Close the current ticket channel (order channel only)',
+    options: [
+      {
+        name: 'hard-delete',
+        description: 'Delete the channel instead of archiving it',
+        type: 5, // BOOLEAN type
+        required: false
+      }
+    ]
   },
   {
     name: 'complete-order',
@@ -34,6 +58,375 @@ module.exports = [
       }
     ]
   },
+  {
+    name: 'requeue',
+    description: 'Send an order back to the automation queue (retry automation)',
+    options: [
+      {
+        name: 'order-number',
+        description: 'The order number to retry (e.g., BP-1234A)',
+        type: 3, // STRING type
+        required: true,
+        autocomplete: true
+      },
+      {
+        name: 'reset-attempts',
+        description: 'Reset the automation attempt counter (default: false)',
+        type: 5, // BOOLEAN type
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'queue',
+    description: 'Inspect and control the automation queue',
+    options: [
+      {
+        name: 'view',
+        description: 'Show queued orders in the order they will be placed',
+        type: 1 // SUB_COMMAND type
+      },
+      {
+        name: 'move',
+        description: 'Change an order\'s place in the queue (Admin only)',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'order-number',
+            description: 'The queued order to move (e.g., BP-1234A)',
+            type: 3, // STRING type
+            required: true,
+            autocomplete: true
+          },
+          {
+            name: 'position',
+            description: 'New place in line (1 = next)',
+            type: 4, // INTEGER type
+            required: true,
+            min_value: 1
+          }
+        ]
+      },
+      {
+        name: 'pause',
+        description: 'Stop the automation worker from starting new orders (Admin only)',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'reason',
+            description: 'Why the queue is paused',
+            type: 3, // STRING type
+            required: false,
+            max_length: 500
+          }
+        ]
+      },
+      {
+        name: 'resume',
+        description: 'Let the automation worker pick up orders again (Admin only)',
+        type: 1 // SUB_COMMAND type
+      },
+      {
+        name: 'drain-estimate',
+        description: 'Estimate when the queue will be cleared at recent throughput',
+        type: 1 // SUB_COMMAND type
+      }
+    ]
+  },
+  {
+    name: 'cancel-order',
+    description: 'Cancel an order that has not been delivered yet',
+    options: [
+      {
+        name: 'order-number',
+        description: 'The order number to cancel (e.g., BP-1234A)',
+        type: 3, // STRING type
+        required: true,
+        autocomplete: true
+      },
+      {
+        name: 'reason',
+        description: 'Why the order is cancelled (shown to the customer)',
+        type: 3, // STRING type
+        required: true,
+        max_length: 500
+      }
+    ]
+  },
+  {
+    name: 'refund',
+    description: 'Refund part or all of a delivered order to the customer\'s wallet',
+    options: [
+      {
+        name: 'order-number',
+        description: 'The order number to refund (e.g., BP-1234A)',
+        type: 3, // STRING type
+        required: true,
+        autocomplete: true
+      },
+      {
+        name: 'amount',
+        description: 'Dollars to refund (capped at what was charged)',
+        type: 10, // NUMBER type
+        required: true,
+        min_value: 0.01
+      },
+      {
+        name: 'reason',
+        description: 'Why the order is refunded (shown to the customer)',
+        type: 3, // STRING type
+        required: true,
+        max_length: 500
+      }
+    ]
+  },
+  {
+    name: 'ticket',
+    description: 'Manage the current ticket',
+    options: [
+      {
+        name: 'transfer',
+        description: 'Hand this ticket to another staff member',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'staff',
+            description: 'The staff member who should take over the ticket',
+            type: 6, // USER type
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'reopen',
+        description: 'Reopen the ticket of a delivered or failed order',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'order-number',
+            description: 'The order number to reopen (e.g., BP-1234A)',
+            type: 3, // STRING type
+            required: true
+          },
+          {
+            name: 'reason',
+            description: 'Why the ticket is being reopened (e.g., missing item)',
+            type: 3, // STRING type
+            required: true
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'order',
+    description: 'Show full details of an order',
+    options: [
+      {
+        name: 'order-number',
+        description: 'The order number to look up (e.g., BP-1234A)',
+        type: 3, // STRING type
+        required: true,
+        autocomplete: true
+      }
+    ]
+  },
+  {
+    name: 'orders',
+    description: 'Search orders by status, payment, customer, date and amount',
+    options: [
+      {
+        name: 'status',
+        description: 'Only orders in this status',
+        type: 3, // STRING type
+        required: false,
+        choices: [
+          'pending_payment', 'payment_submitted', 'payment_verified', 'payment_failed', 'queued', 'processing',
+          'order_placed', 'delivered', 'failed', 'automation_failed', 'cancelled'
+        ].map(status => ({ name: status, value: status }))
+      },
+      {
+        name: 'payment-method',
+        description: 'Only orders paid this way',
+        type: 3, // STRING type
+        required: false,
+        choices: [
+          { name: 'Venmo', value: 'venmo' },
+          { name: 'Zelle', value: 'zelle' },
+          { name: 'Crypto', value: 'crypto' }
+        ]
+      },
+      {
+        name: 'email',
+        description: 'Only orders of the customer with this account email',
+        type: 3, // STRING type
+        required: false
+      },
+      {
+        name: 'from',
+        description: 'Created on or after (YYYY-MM-DD)',
+        type: 3, // STRING type
+        required: false
+      },
+      {
+        name: 'to',
+        description: 'Created on or before (YYYY-MM-DD)',
+        type: 3, // STRING type
+        required: false
+      },
+      {
+        name: 'min-amount',
+        description: 'Minimum charge in dollars',
+        type: 10, // NUMBER type
+        required: false,
+        min_value: 0
+      },
+      {
+        name: 'max-amount',
+        description: 'Maximum charge in dollars',
+        type: 10, // NUMBER type
+        required: false,
+        min_value: 0
+      }
+    ]
+  },
+  {
+    name: 'note',
+    description: 'Add an internal staff note to an order (never shown to the customer)',
+    options: [
+      {
+        name: 'add',
+        description: 'Add a note to any order by number',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'order-number',
+            description: 'Order to add the note to (e.g., BP-1234A)',
+            type: 3, // STRING type
+            required: true,
+            autocomplete: true
+          },
+          {
+            name: 'text',
+            description: 'The note',
+            type: 3, // STRING type
+            required: true,
+            max_length: 1000
+          }
+        ]
+      },
+      {
+        name: 'here',
+        description: 'Add a note to this ticket\'s order',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'text',
+            description: 'The note',
+            type: 3, // STRING type
+            required: true,
+            max_length: 1000
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'wallet',
+    description: 'View or adjust customer wallets',
+    options: [
+      {
+        name: 'view',
+        description: 'Show a customer\'s balance and recent activity',
+        type: 1, // SUB_COMMAND type
+        options: WALLET_TARGET_OPTIONS
+      },
+      {
+        name: 'history',
+        description: 'Page through a customer\'s wallet ledger',
+        type: 1, // SUB_COMMAND type
+        options: [
+          ...WALLET_TARGET_OPTIONS,
+          {
+            name: 'page',
+            description: 'Page to show (default: 1)',
+            type: 4, // INTEGER type
+            required: false,
+            min_value: 1
+          }
+        ]
+      },
+      {
+        name: 'adjust',
+        description: 'Credit or debit a customer\'s wallet (Admin only)',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'amount',
+            description: 'Dollars to add (negative to deduct), e.g. 5 or -2.50',
+            type: 10, // NUMBER type
+            required: true
+          },
+          {
+            name: 'reason',
+            description: 'Why the balance is being adjusted',
+            type: 3, // STRING type
+            required: true,
+            max_length: 500
+          },
+          ...WALLET_TARGET_OPTIONS
+        ]
+      }
+    ]
+  },
+  {
+    name: 'reconcile',
+    description: 'Reconcile payments, charges and the wallet ledger for a date range',
+    options: [
+      {
+        name: 'from',
+        description: 'Start date (YYYY-MM-DD)',
+        type: 3, // STRING type
+        required: true
+      },
+      {
+        name: 'to',
+        description: 'End date, inclusive (YYYY-MM-DD)',
+        type: 3, // STRING type
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'sla',
+    description: 'List tickets that breached their SLA thresholds',
+    options: [
+      {
+        name: 'from',
+        description: 'Start date (YYYY-MM-DD, default: 7 days ago)',
+        type: 3, // STRING type
+        required: false
+      },
+      {
+        name: 'to',
+        description: 'End date, inclusive (YYYY-MM-DD, default: today)',
+        type: 3, // STRING type
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'transcript',
+    description: 'Re-render the stored transcript of a ticket',
+    options: [
+      {
+        name: 'order-number',
+        description: 'The order number of the ticket (e.g., BP-1234A)',
+        type: 3, // STRING type
+        required: true
+      }
+    ]
+  },
   {
     name: 'announce',
     description: 'Send an announcement to the order notification channel',
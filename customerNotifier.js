@@ -0,0 +1,57 @@
+// Customer Notifications
+// Tells a customer about a change to their order: a Discord DM (if their account is linked)
+// and an `order-update` over the web app's WebSocket (if it is running in this process).
+
+const { User } = require('./models');
+
+/**
+ * Push an order update to the customer's open web sessions
+ * @param {Object} order - Order document
+ * @param {Object} payload - Fields sent as `order` in the update
+ */
+function sendWebUpdate(order, payload) {
+  const wss = global.wss;
+  if (!wss || !order.userId) return;
+
+  wss.clients.forEach(client => {
+    if (client.userId === order.userId.toString()) {
+      client.send(JSON.stringify({
+        type: 'order-update',
+        order: { orderNumber: order.orderNumber, ...payload },
+      }));
+    }
+  });
+}
+
+/**
+ * Notify a customer about their order
+ * @param {Object} client - Discord client
+ * @param {Object} order - Order document
+ * @param {Object} options - { message, update } where `message` is the DM text and `update` the web payload
+ * @returns {boolean} - Whether the DM was delivered
+ */
+async function notifyCustomer(client, order, { message, update = {} }) {
+  sendWebUpdate(order, { status: order.status, ...update });
+
+  const user = order.userId ? await User.findById(order.userId) : null;
+  if (!user || !user.discordId) {
+    console.log(`ℹ️ Customer for order ${order.orderNumber} has no linked Discord account, web update only`);
+    return false;
+  }
+
+  try {
+    const discordUser = await client.users.fetch(user.discordId);
+    await discordUser.send(message);
+    console.log(`📨 Notified customer ${user.discordId} about order ${order.orderNumber}`);
+    return true;
+  } catch (error) {
+    // DMs closed or no mutual server
+    console.log(`⚠️ Could not DM customer ${user.discordId} for order ${order.orderNumber}: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  sendWebUpdate,
+  notifyCustomer
+};
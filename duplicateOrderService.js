@@ -0,0 +1,246 @@
+// Duplicate Order Detection
+// Before a payment-verified order gets its ticket, look for other open orders with the same group
+// order link, from the same customer within DUPLICATE_WINDOW_MINUTES, or with a payment reference
+// that only differs in case or separators. A flagged order stays out of the automation queue until
+// staff Merge, Cancel or Proceed from the warning in its ticket; the decision is stored on the order.
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { Order } = require('./models');
+const orderLifecycle = require('./orderLifecycle');
+const orderQueue = require('./orderQueue');
+const cancellationService = require('./cancellationService');
+const noteService = require('./noteService');
+const { formatCents, hasTicketChannel } = require('./orderDetails');
+
+const DUPLICATE_WINDOW_MINUTES = parseInt(process.env.DUPLICATE_WINDOW_MINUTES || '60', 10);
+
+// Orders that can still be placed or charged
+const OPEN_STATUSES = ['payment_submitted', 'payment_verified', 'queued', 'processing', 'order_placed', 'automation_failed'];
+
+const REASON_LABELS = {
+  group_order_link: 'same group order link',
+  same_customer: `same customer within ${DUPLICATE_WINDOW_MINUTES}m`,
+  payment_reference: 'similar payment reference'
+};
+
+/**
+ * Regex matching payment references that only differ in case or separators (e.g. "BP-12AB" and "bp12ab")
+ * @param {string} code - Payment reference code
+ * @returns {RegExp|null} - null if the code is too short to compare meaningfully
+ */
+function buildReferencePattern(code) {
+  const chars = (code || '').replace(/[^a-z0-9]/gi, '');
+  if (chars.length < 4) return null;
+
+  return new RegExp(`^[^a-z0-9]*${chars.split('').join('[^a-z0-9]*')}[^a-z0-9]*$`, 'i');
+}
+
+/**
+ * Find open orders that may be duplicates of an order
+ * @param {Object} order - Order document
+ * @returns {Object[]} - [{ order, reasons }], newest first
+ */
+async function findPossibleDuplicates(order) {
+  const groupOrderLink = (order.groupOrderLink || '').trim();
+  const referencePattern = buildReferencePattern(order.paymentReferenceCode);
+  const windowStart = new Date(new Date(order.createdAt).getTime() - DUPLICATE_WINDOW_MINUTES * 60 * 1000);
+
+  const conditions = [];
+  if (groupOrderLink) conditions.push({ groupOrderLink });
+  if (order.userId) conditions.push({ userId: order.userId, createdAt: { $gte: windowStart } });
+  if (referencePattern) conditions.push({ paymentReferenceCode: referencePattern });
+  if (conditions.length === 0) return [];
+
+  const candidates = await Order.find({
+    _id: { $ne: order._id },
+    status: { $in: OPEN_STATUSES },
+    $or: conditions
+  })
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  return candidates.map(candidate => {
+    const reasons = [];
+    if (groupOrderLink && (candidate.groupOrderLink || '').trim() === groupOrderLink) {
+      reasons.push('group_order_link');
+    }
+    if (order.userId && String(candidate.userId) === String(order.userId) && candidate.createdAt >= windowStart) {
+      reasons.push('same_customer');
+    }
+    if (referencePattern && referencePattern.test(candidate.paymentReferenceCode)) {
+      reasons.push('payment_reference');
+    }
+    return { order: candidate, reasons };
+  });
+}
+
+/**
+ * Record the possible duplicates on an order and attach its ticket channel
+ * The order stays `payment_verified`, so the automation worker won't pick it up yet.
+ * @param {Object} order - Order document
+ * @param {Object[]} duplicates - Result of findPossibleDuplicates
+ * @param {string} channelId - Ticket channel ID
+ * @returns {Object} - Updated order document
+ */
+async function flagOrder(order, duplicates, channelId) {
+  return Order.findByIdAndUpdate(
+    order._id,
+    {
+      $set: {
+        discordChannelId: channelId,
+        'duplicateCheck.matches': duplicates.map(({ order: match, reasons }) => ({
+          orderId: match._id,
+          orderNumber: match.orderNumber,
+          reasons
+        })),
+        'duplicateCheck.flaggedAt': new Date(),
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Warning embed linking the possible duplicates
+ * @param {Object} order - Flagged order
+ * @param {Object[]} duplicates - Result of findPossibleDuplicates
+ * @param {string} guildId - Guild ID, used to link ticket channels
+ */
+function buildWarningEmbed(order, duplicates, guildId) {
+  const lines = duplicates.map(({ order: match, reasons }) => {
+    const ticket = hasTicketChannel(match) ? ` · [ticket](https://discord.com/channels/${guildId}/${match.discordChannelId})` : '';
+    const why = reasons.map(reason => REASON_LABELS[reason]).join(', ');
+
+    return `• **${match.orderNumber}** \`${match.status}\` · ${formatCents(match.chargeCents)} · <t:${Math.floor(match.createdAt.getTime() / 1000)}:R>${ticket}\n  ↳ ${why}`;
+  });
+
+  return {
+    color: 0xFF9500,
+    title: `⚠️ Possible duplicate: ${order.orderNumber}`,
+    description: `This order is **held out of the automation queue** until someone decides:\n\n${lines.join('\n')}`.substring(0, 4096),
+    fields: [
+      { name: '🔀 Merge', value: `Cancel this order as a duplicate of **${duplicates[0].order.orderNumber}**`, inline: true },
+      { name: '🚫 Cancel', value: 'Cancel this order as a duplicate', inline: true },
+      { name: '✅ Proceed', value: 'Not a duplicate, queue it', inline: true }
+    ],
+    footer: { text: 'Duplicate order check' },
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Merge / Cancel / Proceed buttons for a flagged order
+ * @param {string} orderNumber - Flagged order number
+ * @param {string} mergeTarget - Order number Merge would keep
+ */
+function buildDecisionRows(orderNumber, mergeTarget) {
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`duplicate_merge_${orderNumber}`)
+        .setLabel(`🔀 Merge into ${mergeTarget}`)
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(`duplicate_cancel_${orderNumber}`)
+        .setLabel('🚫 Cancel')
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setCustomId(`duplicate_proceed_${orderNumber}`)
+        .setLabel('✅ Proceed')
+        .setStyle(ButtonStyle.Success)
+    );
+
+  return [row];
+}
+
+/**
+ * Atomically record a decision; returns null if one was already made
+ * @param {Object} order - Flagged order
+ * @param {Object} set - Decision fields
+ */
+async function claimDecision(order, set) {
+  return Order.findOneAndUpdate(
+    { _id: order._id, 'duplicateCheck.flaggedAt': { $ne: null }, 'duplicateCheck.decision': null },
+    { $set: { ...set, 'duplicateCheck.decidedAt': new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Apply a staff decision to a flagged order
+ * @param {Object} client - Discord client
+ * @param {Object} order - Flagged order
+ * @param {string} decision - 'merge' | 'cancel' | 'proceed'
+ * @param {Object} options - { actor, actorName }
+ * @returns {Object} - { order, mergedInto } or { error } (user-facing message)
+ * @throws {InvalidTransitionError} - If the order moved on meanwhile (the decision is then undone)
+ */
+async function resolveDuplicate(client, order, decision, { actor, actorName }) {
+  const mergedInto = decision === 'merge' ? order.duplicateCheck.matches[0]?.orderNumber || null : null;
+  if (decision === 'merge' && !mergedInto) {
+    return { error: '❌ This order has no duplicate to merge into.' };
+  }
+
+  const decided = await claimDecision(order, {
+    'duplicateCheck.decision': decision,
+    'duplicateCheck.decidedBy': actor,
+    'duplicateCheck.mergedInto': mergedInto
+  });
+
+  if (!decided) {
+    return { error: `❌ A decision was already made for order #${order.orderNumber}.` };
+  }
+
+  let result;
+  try {
+    if (decision === 'proceed') {
+      result = await orderLifecycle.transitionOrder(decided, 'queued', {
+        actor,
+        source: 'duplicate-check',
+        reason: 'not a duplicate',
+        set: { queuePosition: await orderQueue.getNextQueuePosition() }
+      });
+    } else {
+      ({ order: result } = await cancellationService.cancelOrder(client, decided, {
+        actor,
+        source: 'duplicate-check',
+        reason: mergedInto ? `Merged into order #${mergedInto} (duplicate)` : 'Duplicate order'
+      }));
+    }
+  } catch (error) {
+    // Let someone decide again if the order couldn't be moved
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'duplicateCheck.decision': null, 'duplicateCheck.decidedBy': null, 'duplicateCheck.decidedAt': null, 'duplicateCheck.mergedInto': null } }
+    );
+    throw error;
+  }
+
+  if (mergedInto) {
+    try {
+      const kept = await Order.findOne({ orderNumber: mergedInto });
+      if (kept) {
+        await noteService.addNote(kept, {
+          authorId: actor,
+          authorName: actorName,
+          text: `Duplicate order #${order.orderNumber} was merged into this order and cancelled.`
+        });
+      }
+    } catch (error) {
+      console.error(`❌ [Duplicates] Failed to note merge of ${order.orderNumber} on ${mergedInto}:`, error);
+    }
+  }
+
+  console.log(`🔀 [Duplicates] Order ${order.orderNumber}: ${decision}${mergedInto ? ` into ${mergedInto}` : ''} by ${actorName}`);
+  return { order: result, mergedInto };
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_MINUTES,
+  findPossibleDuplicates,
+  flagOrder,
+  buildWarningEmbed,
+  buildDecisionRows,
+  resolveDuplicate
+};
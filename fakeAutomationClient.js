@@ -0,0 +1,178 @@
+// Fake Automation Client
+// Sends signed requests to the automation API like the automation worker does, so the bot side can
+// be exercised without the worker. `serve` does the opposite: it runs a stub API that checks the
+// signature and schema of each request and answers without Discord or MongoDB, for testing the worker.
+//
+// Usage:
+//   node fakeAutomationClient.js stats
+//   node fakeAutomationClient.js notify <processing|success|failure> <order-number> [error message]
+//   node fakeAutomationClient.js ticket <order-number>
+//   node fakeAutomationClient.js simulate <order-number> [--fail]
+//   node fakeAutomationClient.js replay
+//   node fakeAutomationClient.js serve
+
+require('dotenv').config();
+const http = require('http');
+const { signRequest, verifyRequest } = require('./apiAuth');
+
+const secret = process.env.AUTOMATION_API_SECRET;
+const baseUrl = process.env.AUTOMATION_API_URL ||
+  `http://${process.env.AUTOMATION_API_HOST || '127.0.0.1'}:${process.env.AUTOMATION_API_PORT || '3100'}`;
+
+if (!secret) {
+  console.error('❌ Missing required environment variable!');
+  console.error('Required: AUTOMATION_API_SECRET');
+  process.exit(1);
+}
+
+/**
+ * Send a signed request to the automation API
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object|null} payload - JSON body
+ * @param {Object|null} headers - Reuse these signature headers (for the replay check)
+ * @returns {Object} - { status, body, headers }
+ */
+async function send(method, path, payload = null, headers = null) {
+  const body = payload ? JSON.stringify(payload) : '';
+  const signed = headers || signRequest(secret, { method, path, body });
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...signed },
+    body: body || undefined
+  });
+
+  const result = { status: response.status, body: await response.json().catch(() => null), headers: signed };
+  console.log(`${response.ok ? '✅' : '❌'} ${method} ${path} → ${result.status}`, JSON.stringify(result.body, null, 2));
+  return result;
+}
+
+/**
+ * Play an automation run: processing, then success or failed attempts
+ * @param {string} orderNumber - Order number
+ * @param {boolean} fail - Fail every attempt instead of succeeding
+ */
+async function simulate(orderNumber, fail) {
+  const maxAttempts = 3;
+  await send('POST', '/v1/notifications', { type: 'processing', orderNumber });
+
+  if (!fail) {
+    await send('POST', '/v1/notifications', {
+      type: 'success',
+      orderNumber,
+      uberLink: `https://www.ubereats.com/orders/fake-${orderNumber}`
+    });
+    return;
+  }
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    await send('POST', '/v1/notifications', {
+      type: 'failure',
+      orderNumber,
+      attempt,
+      maxAttempts,
+      error: `Simulated failure (attempt ${attempt})`
+    });
+  }
+}
+
+/**
+ * Stub automation API: checks signatures and schemas, answers with canned data
+ */
+function serve() {
+  // Loaded here so the client commands don't need the bot's dependencies
+  const { SCHEMAS, validatePayload } = require('./automationApi');
+  const routes = {
+    'POST /v1/notifications': SCHEMAS.notification,
+    'POST /v1/tickets': SCHEMAS.ticket,
+    'GET /v1/stats': null
+  };
+
+  const url = new URL(baseUrl);
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const path = req.url.split('?')[0];
+      const raw = Buffer.concat(chunks).toString('utf8');
+      const reply = (status, payload) => {
+        console.log(`${status < 300 ? '✅' : '❌'} ${req.method} ${path} → ${status}${raw ? ` ${raw}` : ''}`);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      const key = `${req.method} ${path}`;
+      if (!(key in routes)) return reply(404, { ok: false, error: 'Not found' });
+
+      const authError = verifyRequest(secret, { method: req.method, path, body: raw, headers: req.headers });
+      if (authError) return reply(401, { ok: false, error: authError });
+
+      if (routes[key]) {
+        let body;
+        try {
+          body = JSON.parse(raw || 'null');
+        } catch (error) {
+          return reply(400, { ok: false, error: 'Body is not valid JSON' });
+        }
+        const errors = validatePayload(routes[key], body);
+        if (errors.length > 0) return reply(400, { ok: false, error: 'Invalid request body', details: errors });
+      }
+
+      if (key === 'GET /v1/stats') {
+        return reply(200, { queue: { size: 3, paused: false, pausedReason: null, perHour: 4, etaMinutes: 45 }, vcc: { unused: 12, used: 30, total: 42 } });
+      }
+      if (key === 'POST /v1/tickets') {
+        return reply(201, { ok: true, created: true, channelId: '000000000000000000', status: 'queued' });
+      }
+      return reply(202, { ok: true });
+    });
+  });
+
+  server.listen(Number(url.port), url.hostname, () => {
+    console.log(`🧪 Stub automation API listening on ${baseUrl} (no Discord, no MongoDB)`);
+  });
+}
+
+(async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'stats':
+        await send('GET', '/v1/stats');
+        break;
+      case 'notify': {
+        const [type, orderNumber, ...error] = args;
+        await send('POST', '/v1/notifications', {
+          type,
+          orderNumber,
+          ...(type === 'failure' ? { attempt: 1, maxAttempts: 3, error: error.join(' ') || 'Simulated failure' } : {})
+        });
+        break;
+      }
+      case 'ticket':
+        await send('POST', '/v1/tickets', { orderNumber: args[0] });
+        break;
+      case 'simulate':
+        await simulate(args[0], args.includes('--fail'));
+        break;
+      case 'replay': {
+        // The second request reuses the first one's nonce and must be refused
+        const first = await send('GET', '/v1/stats');
+        const second = await send('GET', '/v1/stats', null, first.headers);
+        console.log(second.status === 401 ? '✅ Replay refused' : '❌ Replay was accepted!');
+        break;
+      }
+      case 'serve':
+        serve();
+        break;
+      default:
+        console.log('Usage: node fakeAutomationClient.js <stats|notify|ticket|simulate|replay|serve> [args]');
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ Request to ${baseUrl} failed:`, error.message);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,111 @@
+// Wallet Ledger Service
+// Every change to User.balanceCents goes through here and writes a LedgerEntry,
+// so any balance can be reconstructed from its history.
+
+const mongoose = require('mongoose');
+const { User, LedgerEntry } = require('./models');
+
+const HISTORY_PAGE_SIZE = 10;
+
+class BalanceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BalanceError';
+    this.code = code; // USER_NOT_FOUND | INSUFFICIENT_FUNDS | INVALID_AMOUNT
+  }
+}
+
+/**
+ * Change a user's balance and record the ledger entry
+ * Must be called with a session when part of a larger transaction; otherwise runs its own.
+ * @param {string|Object} userId - User ObjectId
+ * @param {number} amountCents - Signed amount (negative debits)
+ * @param {Object} options - { type, actor, reason, orderId, session }
+ * @returns {Object} - { user, entry }
+ * @throws {BalanceError}
+ */
+async function applyBalanceChange(userId, amountCents, { type, actor = 'system', reason = null, orderId = null, session = null } = {}) {
+  if (!Number.isInteger(amountCents) || amountCents === 0) {
+    throw new BalanceError('INVALID_AMOUNT', 'Amount must be a non-zero number of cents.');
+  }
+
+  if (!session) {
+    return withTransaction(txSession => applyBalanceChange(userId, amountCents, { type, actor, reason, orderId, session: txSession }));
+  }
+
+  // Debits are conditional so the balance never goes below zero
+  const filter = amountCents < 0
+    ? { _id: userId, balanceCents: { $gte: -amountCents } }
+    : { _id: userId };
+
+  const user = await User.findOneAndUpdate(filter, { $inc: { balanceCents: amountCents } }, { new: true, session });
+
+  if (!user) {
+    const existing = await User.findById(userId).session(session);
+    if (!existing) {
+      throw new BalanceError('USER_NOT_FOUND', 'User not found.');
+    }
+    throw new BalanceError(
+      'INSUFFICIENT_FUNDS',
+      `Insufficient funds: balance $${((existing.balanceCents || 0) / 100).toFixed(2)}, needed $${(-amountCents / 100).toFixed(2)}.`
+    );
+  }
+
+  const [entry] = await LedgerEntry.create([{
+    userId: user._id,
+    orderId,
+    amountCents,
+    type,
+    actor,
+    reason,
+    balanceAfterCents: user.balanceCents
+  }], { session });
+
+  return { user, entry };
+}
+
+/**
+ * Run a function inside a MongoDB transaction
+ * @param {Function} fn - async (session) => result
+ */
+async function withTransaction(fn) {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Get one page of a user's ledger, newest first
+ * @param {string|Object} userId - User ObjectId
+ * @param {number} page - Page number (1-based)
+ * @returns {Object} - { entries, page, totalPages, total }
+ */
+async function getHistory(userId, page = 1) {
+  const total = await LedgerEntry.countDocuments({ userId });
+  const totalPages = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(1, page), totalPages);
+
+  const entries = await LedgerEntry.find({ userId })
+    .sort({ createdAt: -1 })
+    .skip((currentPage - 1) * HISTORY_PAGE_SIZE)
+    .limit(HISTORY_PAGE_SIZE)
+    .populate('orderId', 'orderNumber');
+
+  return { entries, page: currentPage, totalPages, total };
+}
+
+module.exports = {
+  HISTORY_PAGE_SIZE,
+  BalanceError,
+  applyBalanceChange,
+  withTransaction,
+  getHistory
+};
@@ -26,6 +26,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  balanceCents: {
+    type: Number,
+    default: 0 // Wallet balance, debited when orders are charged
+  },
   emailVerified: {
     type: Boolean,
     default: false
@@ -142,6 +146,10 @@ const orderSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  deliveryNote: {
+    type: String,
+    default: null // ETA/notes entered by staff with the tracking link, shown to the customer
+  },
   deliveryAddress: {
     type: String,
     default: ''
@@ -164,6 +172,20 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  charged: {
+    type: Boolean,
+    default: false // Set once the customer's balance has been debited
+  },
+  refundedCents: {
+    type: Number,
+    default: 0 // Total refunded to the wallet, never more than chargeCents
+  },
+  refunds: [{
+    amountCents: { type: Number, required: true },
+    reason: { type: String, required: true },
+    actor: { type: String, default: 'system' }, // Discord user ID
+    createdAt: { type: Date, default: Date.now }
+  }],
 
   // Payment details
   paymentMethod: {
@@ -209,7 +231,11 @@ const orderSchema = new mongoose.Schema({
   // Discord integration
   discordChannelId: {
     type: String,
-    default: null
+    default: null // 'pending' while the payment monitor is creating the ticket channel
+  },
+  ticketClaimedAt: {
+    type: Date,
+    default: null // When the payment monitor claimed the order for ticket creation
   },
 
   // Automation/Queue fields
@@ -245,6 +271,125 @@ const orderSchema = new mongoose.Schema({
     default: null
   },
 
+  // Order watchdog alerts, one per kind and episode (e.g. one per stuck automation run)
+  watchdogAlerts: [{
+    kind: {
+      type: String,
+      enum: ['stuck_processing', 'automation_failed', 'payment_submitted_stale'],
+      required: true
+    },
+    since: {
+      type: Date,
+      required: true
+    },
+    alertedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Manual payment reviews, one per submission (a rejected payment can be submitted again)
+  paymentReviews: [{
+    channelId: {
+      type: String,
+      default: null
+    },
+    messageId: {
+      type: String,
+      default: null
+    },
+    postedAt: {
+      type: Date,
+      default: Date.now
+    },
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected', 'superseded', null], // superseded: settled without this review
+      default: null
+    },
+    decidedBy: {
+      type: String, // Discord user ID
+      default: null
+    },
+    decidedAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    }
+  }],
+
+  // Possible duplicates found when the ticket was created, and what staff decided
+  duplicateCheck: {
+    matches: [{
+      orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+      orderNumber: String,
+      reasons: [String] // 'group_order_link' | 'same_customer' | 'payment_reference'
+    }],
+    flaggedAt: {
+      type: Date,
+      default: null
+    },
+    decision: {
+      type: String,
+      enum: ['merge', 'cancel', 'proceed', null],
+      default: null
+    },
+    decidedBy: {
+      type: String, // Discord user ID
+      default: null
+    },
+    decidedAt: {
+      type: Date,
+      default: null
+    },
+    mergedInto: {
+      type: String, // Order number the duplicate was merged into
+      default: null
+    }
+  },
+
+  // Internal staff notes (never shown to the customer)
+  notes: [{
+    authorId: {
+      type: String, // Discord user ID
+      required: true
+    },
+    authorName: {
+      type: String,
+      required: true
+    },
+    text: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Status history (who moved the order, from where, and why)
+  history: [{
+    from: String,
+    to: String,
+    actor: {
+      type: String, // Discord user ID, or 'system'
+      default: 'system'
+    },
+    source: String, // e.g. 'button', 'slash', 'reopen'
+    reason: {
+      type: String,
+      default: null
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -266,6 +411,13 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Indexes for /orders searches (by status or by customer, newest first)
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ userId: 1, createdAt: -1 });
+
+// Ticket channels opened before tickets were stored are resolved through their order
+orderSchema.index({ discordChannelId: 1 });
+
 // ============================================
 // PASSWORD RESET SCHEMA
 // ============================================
@@ -319,6 +471,15 @@ const virtualCardSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Set when a used card's order was cancelled: it may have been charged, so staff check it by hand
+  reviewFlaggedAt: {
+    type: Date,
+    default: null
+  },
+  reviewReason: {
+    type: String,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -341,6 +502,10 @@ const chatMessageSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  discordMessageId: {
+    type: String,
+    default: undefined // Only set for messages that came from Discord
+  },
   author: {
     type: String,
     required: true
@@ -353,6 +518,20 @@ const chatMessageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set once the bot has handled the message (recorded from Discord or relayed into it)
+  relayedAt: {
+    type: Date,
+    default: null
+  },
+  // Failed relays into Discord; after CHAT_RELAY_MAX_ATTEMPTS the message is given up on
+  relayAttempts: {
+    type: Number,
+    default: 0
+  },
+  relayFailedAt: {
+    type: Date,
+    default: null
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -361,6 +540,237 @@ const chatMessageSchema = new mongoose.Schema({
 
 // Index for fast lookups
 chatMessageSchema.index({ discordChannelId: 1, timestamp: 1 });
+chatMessageSchema.index({ orderId: 1, timestamp: 1 });
+chatMessageSchema.index({ relayedAt: 1, timestamp: 1 });
+
+// One row per Discord message (transcripts can be saved more than once)
+chatMessageSchema.index({ discordMessageId: 1 }, { unique: true, sparse: true });
+
+// ============================================
+// TICKET SCHEMA
+// ============================================
+const ticketSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+
+  // Discord channel the ticket lives in (looked up by id, never by name)
+  channelId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  guildId: {
+    type: String,
+    required: true
+  },
+  // Intro message that carries the ticket's buttons (null for tickets opened before it was stored)
+  controlMessageId: {
+    type: String,
+    default: null
+  },
+
+  // open -> claimed -> completed -> closed
+  state: {
+    type: String,
+    enum: ['open', 'claimed', 'completed', 'closed'],
+    default: 'open'
+  },
+
+  // When the ticket was last opened (creation or /ticket reopen); unclaimed SLA stages count from here
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Claim
+  claimedBy: {
+    type: String, // Discord user ID
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Close
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: String, // Discord user ID
+    default: null
+  },
+  closeReason: {
+    type: String,
+    default: null
+  },
+
+  // Archive (closed tickets are kept read-only until the retention period ends)
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  channelDeletedAt: {
+    type: Date,
+    default: null
+  },
+
+  // SLA breaches already handled (unclaimed stages fire once per ticket, claimed_overdue once per claim)
+  slaBreaches: [{
+    stage: {
+      type: String,
+      enum: ['unclaimed_remind', 'unclaimed_escalate', 'unclaimed_page', 'claimed_overdue'],
+      required: true
+    },
+    thresholdMinutes: Number,
+    claimedBy: {
+      type: String,
+      default: null
+    },
+    claimedAt: {
+      type: Date,
+      default: null // Claim the claimed_overdue breach belongs to
+    },
+    breachedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for finding the ticket(s) of an order
+ticketSchema.index({ orderId: 1, createdAt: -1 });
+
+// Indexes for SLA sweeps and reports
+ticketSchema.index({ state: 1, createdAt: 1 });
+ticketSchema.index({ 'slaBreaches.breachedAt': 1 });
+
+// Index for archive cleanup
+ticketSchema.index({ archivedAt: 1, channelDeletedAt: 1 });
+
+// Update updatedAt on save
+ticketSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// ============================================
+// LEDGER ENTRY SCHEMA
+// ============================================
+const ledgerEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Signed: negative debits the balance, positive credits it
+  amountCents: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'refund', 'credit', 'adjustment'],
+    required: true
+  },
+  actor: {
+    type: String, // Discord user ID, or 'system'
+    default: 'system'
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  balanceAfterCents: {
+    type: Number,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for wallet history and per-order lookups
+ledgerEntrySchema.index({ userId: 1, createdAt: -1 });
+ledgerEntrySchema.index({ orderId: 1, type: 1 });
+ledgerEntrySchema.index({ type: 1, createdAt: 1 });
+
+// ============================================
+// QUEUE STATE SCHEMA
+// ============================================
+// Shared automation queue controls. The automation worker reads the 'automation' document and
+// does not start new orders while `paused` is true.
+const queueStateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true // 'automation'
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  pausedBy: {
+    type: String, // Discord user ID
+    default: null
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ============================================
+// STREAM CHECKPOINT SCHEMA
+// ============================================
+// Last processed change stream event per watcher, so a restart resumes where it left off
+const streamCheckpointSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true // e.g. 'payment-monitor'
+  },
+  resumeToken: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 // ============================================
 // DAILY STATS SCHEMA
@@ -379,6 +789,14 @@ const dailyStatsSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  refundCount: {
+    type: Number,
+    default: 0
+  },
+  refundedCents: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -408,6 +826,10 @@ const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
 const VirtualCard = mongoose.model('VirtualCard', virtualCardSchema);
 const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
 const DailyStats = mongoose.model('DailyStats', dailyStatsSchema);
+const Ticket = mongoose.model('Ticket', ticketSchema);
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+const QueueState = mongoose.model('QueueState', queueStateSchema);
+const StreamCheckpoint = mongoose.model('StreamCheckpoint', streamCheckpointSchema);
 
 // ============================================
 // EXPORT MODELS
@@ -420,5 +842,9 @@ module.exports = {
   PasswordReset,
   VirtualCard,
   ChatMessage,
-  DailyStats
+  DailyStats,
+  Ticket,
+  LedgerEntry,
+  QueueState,
+  StreamCheckpoint
 };
@@ -0,0 +1,74 @@
+// Staff Notes Service
+// Internal, author-attributed notes on orders. Notes are staff-only and never sent to the customer.
+
+const { Order } = require('./models');
+
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Add a note to an order
+ * @param {Object} order - Order document
+ * @param {Object} note - { authorId, authorName, text }
+ * @returns {Object} - Updated order
+ * @throws {Error} - If the note is empty or too long
+ */
+async function addNote(order, { authorId, authorName, text }) {
+  const trimmed = (text || '').trim();
+
+  if (!trimmed) {
+    throw new Error('Note text cannot be empty');
+  }
+
+  if (trimmed.length > MAX_NOTE_LENGTH) {
+    throw new Error(`Note is too long (max ${MAX_NOTE_LENGTH} characters)`);
+  }
+
+  // $push so concurrent notes never overwrite each other
+  const updated = await Order.findByIdAndUpdate(
+    order._id,
+    {
+      $push: { notes: { authorId, authorName, text: trimmed, createdAt: new Date() } },
+      $set: { updatedAt: new Date() }
+    },
+    { new: true }
+  );
+
+  console.log(`📝 Note added to order ${order.orderNumber} by ${authorName}`);
+  return updated;
+}
+
+/**
+ * Format an order's notes for Discord (newest last)
+ * @param {Object} order - Order document
+ * @param {number} maxLength - Maximum length of the result
+ */
+function formatNotes(order, maxLength = 4000) {
+  const notes = order.notes || [];
+
+  if (notes.length === 0) {
+    return 'No notes yet.';
+  }
+
+  const lines = notes.map(note =>
+    `• <t:${Math.floor(new Date(note.createdAt).getTime() / 1000)}:f> **${note.authorName}:** ${note.text}`
+  );
+
+  // Keep the newest notes if they don't all fit
+  let result = '';
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const next = lines[i] + (result ? '\n' + result : '');
+    if (next.length > maxLength - 50) {
+      result = `... ${i + 1} older note(s) not shown\n` + result;
+      break;
+    }
+    result = next;
+  }
+
+  return result;
+}
+
+module.exports = {
+  MAX_NOTE_LENGTH,
+  addNote,
+  formatNotes
+};
@@ -0,0 +1,194 @@
+// Order Detail Rendering
+// Builds the full /order embed, plus the formatting helpers the other order views share. Card data is always masked.
+
+const noteService = require('./noteService');
+
+// discordChannelId placeholder while the payment monitor is creating the ticket channel
+const PENDING_CHANNEL_ID = 'pending';
+
+/**
+ * Whether an order has a real ticket channel (not none, and not one still being created)
+ * @param {Object} order - Order document
+ */
+function hasTicketChannel(order) {
+  return Boolean(order.discordChannelId) && order.discordChannelId !== PENDING_CHANNEL_ID;
+}
+
+/**
+ * Format cents as dollars
+ * @param {number|null} cents - Amount in cents
+ */
+function formatCents(cents) {
+  if (cents === null || cents === undefined) return 'N/A';
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+/**
+ * Parse a dollar amount typed by staff (e.g. "12", "12.5", "$12.50") into cents
+ * @param {string} text - Amount text
+ * @returns {number|null} - Cents, or null if the text is not a valid amount
+ */
+function parseDollarsToCents(text) {
+  const cleaned = (text || '').trim().replace(/^\$/, '');
+  if (!/^\d+(\.\d{1,2})?$/.test(cleaned)) return null;
+
+  return Math.round(parseFloat(cleaned) * 100);
+}
+
+// Hosts an Uber Eats tracking link may point to (subdomains included)
+const UBER_LINK_HOSTS = ['ubereats.com', 'uber.com', 'ubr.to'];
+
+/**
+ * Validate an Uber Eats tracking link typed by staff
+ * @param {string} text - Link text
+ * @returns {string|null} - Normalized link, or null if it isn't an https Uber link
+ */
+function parseUberLink(text) {
+  let url;
+  try {
+    url = new URL((text || '').trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (url.protocol !== 'https:') return null;
+
+  const host = url.hostname.toLowerCase();
+  const allowed = UBER_LINK_HOSTS.some(domain => host === domain || host.endsWith(`.${domain}`));
+
+  return allowed ? url.toString() : null;
+}
+
+/**
+ * Mask a VCC string ("card_number,exp_date,cvv,zip_code,email") down to the last 4 digits
+ * Expiry, CVV, ZIP and email are never shown.
+ * @param {string|null} cardString - VCC string
+ */
+function maskCardString(cardString) {
+  if (!cardString) return 'None assigned';
+
+  const cardNumber = cardString.replace(/^,/, '').split(',')[0].trim();
+  const last4 = cardNumber.slice(-4);
+
+  return /^\d{4}$/.test(last4) ? `•••• •••• •••• ${last4}` : '•••• (unreadable)';
+}
+
+/**
+ * Format a date as a Discord timestamp
+ * @param {Date|null} date - Date to format
+ */
+function formatTimestamp(date) {
+  if (!date) return null;
+  return `<t:${Math.floor(new Date(date).getTime() / 1000)}:f>`;
+}
+
+/**
+ * Build the order timeline from its lifecycle timestamps
+ * @param {Object} order - Order document
+ */
+function buildTimeline(order) {
+  const steps = [
+    ['🆕 Created', order.createdAt],
+    ['💳 Payment verified', order.paymentVerifiedAt],
+    ['🤖 Automation started', order.automationStartedAt],
+    ['🤖 Automation completed', order.automationCompletedAt],
+    ['🏁 Completed', order.completedAt]
+  ];
+
+  return steps
+    .filter(([, date]) => date)
+    .sort((a, b) => new Date(a[1]) - new Date(b[1]))
+    .map(([label, date]) => `${label}: ${formatTimestamp(date)}`)
+    .join('\n') || 'No timestamps recorded';
+}
+
+/**
+ * Build the full order detail embed
+ * @param {Object} order - Order document
+ * @param {Object|null} user - User document of the customer
+ * @param {Object} options - { guildId } used to link the ticket channel
+ */
+function buildOrderDetailEmbed(order, user, { guildId } = {}) {
+  const customer = user ? `${user.fullName || 'Unknown'}\n${user.email}` : (order.customerName || 'Unknown');
+
+  const payment = [
+    `**Method:** ${order.paymentMethod}`,
+    `**Reference:** \`${order.paymentReferenceCode}\``,
+    `**Verified:** ${order.paymentVerified ? '✅ Yes' : '❌ No'}`
+  ];
+  if (order.paymentMethod === 'crypto') {
+    payment.push(`**Crypto invoice:** ${order.cryptoInvoiceId || 'N/A'}`);
+    payment.push(`**Crypto payment:** ${order.cryptoPaymentId || 'N/A'}`);
+    payment.push(`**Crypto discount:** ${order.cryptoDiscount ? 'Yes' : 'No'}`);
+  }
+
+  const amounts = [
+    `**App total:** ${formatCents(order.appTotalCents)}`,
+    `**Charge:** ${formatCents(order.chargeCents)}`,
+    `**Difference:** ${formatCents(order.appTotalCents - order.chargeCents)}`,
+    `**Charged:** ${order.charged ? '✅ Yes' : '❌ No'}`
+  ];
+  if (order.refundedCents > 0) {
+    amounts.push(`**Refunded:** ${formatCents(order.refundedCents)}`);
+  }
+
+  const automation = [
+    `**Queue position:** ${order.queuePosition ?? 'N/A'}`,
+    `**Attempts:** ${order.automationAttempts || 0}`,
+    `**Last error:** ${order.automationError || 'None'}`,
+    `**Card:** ${maskCardString(order.vccString)}`
+  ];
+
+  const links = [];
+  if (hasTicketChannel(order)) {
+    links.push(guildId
+      ? `🎫 Ticket: https://discord.com/channels/${guildId}/${order.discordChannelId}`
+      : `🎫 Ticket: <#${order.discordChannelId}>`);
+  }
+  if (order.uberLink) links.push(`🚗 Uber: ${order.uberLink}`);
+  if (order.deliveryNote) links.push(`🕒 ETA/notes: ${order.deliveryNote}`);
+  if (order.groupOrderLink) links.push(`🔗 Group order: ${order.groupOrderLink}`);
+
+  const fields = [
+    { name: '📋 Status', value: `\`${order.status}\``, inline: true },
+    { name: '👤 Customer', value: customer, inline: true },
+    { name: '📍 Delivery', value: (order.deliveryAddress || 'Not provided').substring(0, 1024), inline: false },
+    { name: '💳 Payment', value: payment.join('\n'), inline: true },
+    { name: '💰 Amounts', value: amounts.join('\n'), inline: true },
+    { name: '🤖 Automation', value: automation.join('\n').substring(0, 1024), inline: false },
+    { name: '🔗 Links', value: links.join('\n').substring(0, 1024) || 'None', inline: false },
+    { name: '🕒 Timeline', value: buildTimeline(order), inline: false }
+  ];
+
+  const duplicateCheck = order.duplicateCheck;
+  if (duplicateCheck && duplicateCheck.flaggedAt) {
+    const matches = duplicateCheck.matches.map(match => match.orderNumber).join(', ');
+    const decision = duplicateCheck.decision
+      ? `**${duplicateCheck.decision}**${duplicateCheck.mergedInto ? ` into ${duplicateCheck.mergedInto}` : ''} by <@${duplicateCheck.decidedBy}> ${formatTimestamp(duplicateCheck.decidedAt)}`
+      : '⏳ Pending';
+    fields.push({ name: '⚠️ Possible Duplicate', value: `**Of:** ${matches}\n**Decision:** ${decision}`.substring(0, 1024), inline: false });
+  }
+
+  if ((order.notes || []).length > 0) {
+    fields.push({ name: `📝 Staff Notes (${order.notes.length})`, value: noteService.formatNotes(order, 1024), inline: false });
+  }
+
+  return {
+    color: 0x5865F2,
+    title: `📦 Order ${order.orderNumber}`,
+    fields,
+    footer: { text: 'Internal - card data masked' },
+    timestamp: new Date()
+  };
+}
+
+module.exports = {
+  PENDING_CHANNEL_ID,
+  hasTicketChannel,
+  formatCents,
+  parseDollarsToCents,
+  parseUberLink,
+  maskCardString,
+  buildTimeline,
+  buildOrderDetailEmbed
+};
@@ -0,0 +1,120 @@
+// Order Lifecycle
+// Central state machine for Order.status. Every status change in the bot goes through
+// transitionOrder(), which validates the move, stamps timestamps and records history.
+
+const { Order } = require('./models');
+
+// Allowed moves between the existing Order.status values
+const TRANSITIONS = {
+  pending_payment: ['payment_submitted', 'payment_verified', 'payment_failed', 'cancelled'],
+  payment_submitted: ['payment_verified', 'payment_failed', 'cancelled'],
+  payment_verified: ['queued', 'cancelled'],
+  payment_failed: ['payment_submitted', 'payment_verified', 'cancelled'],
+  queued: ['processing', 'delivered', 'failed', 'cancelled'],
+  processing: ['queued', 'order_placed', 'delivered', 'failed', 'automation_failed', 'cancelled'],
+  order_placed: ['delivered', 'failed'],
+  automation_failed: ['queued', 'processing', 'delivered', 'failed', 'cancelled'],
+  delivered: ['order_placed'],
+  failed: ['processing', 'queued'],
+  cancelled: []
+};
+
+// Statuses a charged order may never move to (money was taken, a refund is needed instead)
+const UNCHARGED_ONLY_STATUSES = ['failed', 'cancelled', 'queued'];
+
+// Timestamp fields stamped when an order enters a status
+const STATUS_TIMESTAMPS = {
+  payment_verified: 'paymentVerifiedAt',
+  processing: 'automationStartedAt',
+  order_placed: 'automationCompletedAt',
+  delivered: 'completedAt',
+  failed: 'completedAt',
+  cancelled: 'completedAt'
+};
+
+class InvalidTransitionError extends Error {
+  constructor(orderNumber, from, to, detail) {
+    super(`Order #${orderNumber} cannot move from \`${from}\` to \`${to}\`${detail ? ` (${detail})` : ''}`);
+    this.name = 'InvalidTransitionError';
+    this.orderNumber = orderNumber;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Whether an order may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw if an order may not move to a status
+ * @param {Object} order - Order document
+ * @param {string} to - Target status
+ * @throws {InvalidTransitionError}
+ */
+function assertTransition(order, to) {
+  if (!canTransition(order.status, to)) {
+    const allowed = (TRANSITIONS[order.status] || []).join(', ') || 'none';
+    throw new InvalidTransitionError(order.orderNumber, order.status, to, `allowed: ${allowed}`);
+  }
+
+  if (order.charged && UNCHARGED_ONLY_STATUSES.includes(to)) {
+    throw new InvalidTransitionError(order.orderNumber, order.status, to, 'order has already been charged');
+  }
+}
+
+/**
+ * Move an order to a new status
+ * The update is conditional on the status the caller saw, so two concurrent changes can't both win.
+ * @param {Object} order - Order document (as last read by the caller)
+ * @param {string} to - Target status
+ * @param {Object} options - { actor, source, reason, set, filter, session } where `set` holds extra fields
+ *   to update, `filter` extra conditions the order must still match and `session` a mongoose transaction session
+ * @returns {Object} - Updated order document
+ * @throws {InvalidTransitionError} - If the move is not allowed or the order changed meanwhile
+ */
+async function transitionOrder(order, to, { actor = 'system', source = 'system', reason = null, set = {}, filter = {}, session = null } = {}) {
+  assertTransition(order, to);
+
+  const from = order.status;
+  const now = new Date();
+  const update = { ...set, status: to, updatedAt: now };
+
+  const timestampField = STATUS_TIMESTAMPS[to];
+  if (timestampField && !(timestampField in set)) {
+    update[timestampField] = now;
+  }
+  if (to === 'payment_verified') {
+    update.paymentVerified = true;
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { ...filter, _id: order._id, status: from },
+    {
+      $set: update,
+      $push: { history: { from, to, actor, source, reason, timestamp: now } }
+    },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw new InvalidTransitionError(order.orderNumber, from, to, 'order status changed meanwhile, try again');
+  }
+
+  console.log(`🔀 [Lifecycle] Order ${order.orderNumber}: ${from} -> ${to} (${source}, ${actor})`);
+  return updated;
+}
+
+module.exports = {
+  TRANSITIONS,
+  STATUS_TIMESTAMPS,
+  InvalidTransitionError,
+  canTransition,
+  assertTransition,
+  transitionOrder
+};
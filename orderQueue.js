@@ -0,0 +1,207 @@
+// Automation Queue
+// The automation worker picks up `queued` orders by queuePosition. Everything the bot shows or
+// changes about the queue goes through here: its size, order, pause flag and drain estimate.
+
+const { Order, QueueState } = require('./models');
+const orderLifecycle = require('./orderLifecycle');
+
+const { InvalidTransitionError } = orderLifecycle;
+
+const QUEUE_STATE_KEY = 'automation';
+const THROUGHPUT_WINDOW_HOURS = 6; // Window used for the drain estimate
+
+/**
+ * Number of orders waiting in the automation queue
+ * @returns {number}
+ */
+async function getQueueSize() {
+  return Order.countDocuments({ status: 'queued' });
+}
+
+/**
+ * Queued orders in the order the worker will pick them up
+ * @param {number} limit - Max orders to return
+ * @returns {Object[]} - Order documents
+ */
+async function getQueuedOrders(limit = 25) {
+  return Order.find({ status: 'queued' })
+    .sort({ queuePosition: 1, createdAt: 1 })
+    .limit(limit)
+    .select('orderNumber queuePosition automationAttempts chargeCents paymentMethod discordChannelId history createdAt updatedAt');
+}
+
+/**
+ * When an order last entered the queue
+ * @param {Object} order - Order document (with history)
+ * @returns {Date}
+ */
+function getQueuedSince(order) {
+  const entries = (order.history || []).filter(entry => entry.to === 'queued');
+  return entries.length > 0 ? entries[entries.length - 1].timestamp : order.updatedAt || order.createdAt;
+}
+
+/**
+ * Next free position at the end of the queue
+ * @returns {number}
+ */
+async function getNextQueuePosition() {
+  const last = await Order.findOne({ status: 'queued', queuePosition: { $ne: null } })
+    .sort({ queuePosition: -1 })
+    .select('queuePosition');
+
+  return last ? last.queuePosition + 1 : 1;
+}
+
+/**
+ * Whether an order is flagged as a possible duplicate and staff haven't chosen Merge, Cancel or Proceed yet
+ * Such orders are held out of the queue until the decision is made.
+ * @param {Object|null} order - Order document
+ */
+function isAwaitingDuplicateDecision(order) {
+  return Boolean(order && order.duplicateCheck && order.duplicateCheck.flaggedAt && !order.duplicateCheck.decision);
+}
+
+/**
+ * Put an order back in the automation queue (e.g. to retry failed automation)
+ * @param {Object} order - Order document
+ * @param {Object} options - { actor, source, reason, resetAttempts }
+ * @returns {Object} - Updated order document
+ * @throws {InvalidTransitionError} - If the order can't be queued (e.g. charged, delivered or awaiting a duplicate decision)
+ */
+async function requeueOrder(order, { actor = 'system', source = 'system', reason = null, resetAttempts = false } = {}) {
+  if (order.charged || order.status === 'delivered') {
+    throw new InvalidTransitionError(order.orderNumber, order.status, 'queued', 'order has already been charged or delivered');
+  }
+
+  if (isAwaitingDuplicateDecision(order)) {
+    throw new InvalidTransitionError(order.orderNumber, order.status, 'queued', 'possible duplicate, choose Merge, Cancel or Proceed first');
+  }
+
+  const set = {
+    queuePosition: await getNextQueuePosition(),
+    automationError: null
+  };
+  if (resetAttempts) {
+    set.automationAttempts = 0;
+  }
+
+  // The order must still not be awaiting a duplicate decision when it is queued
+  const queued = await orderLifecycle.transitionOrder(order, 'queued', {
+    actor,
+    source,
+    reason,
+    set,
+    filter: { $or: [{ 'duplicateCheck.flaggedAt': null }, { 'duplicateCheck.decision': { $ne: null } }] }
+  });
+
+  console.log(`🔁 [Queue] Order ${queued.orderNumber} requeued at position ${queued.queuePosition}${resetAttempts ? ', attempts reset' : ''} (${source}, ${actor})`);
+  return queued;
+}
+
+/**
+ * Move a queued order to a new place in line and renumber the queue 1..n
+ * @param {string} orderNumber - Order number
+ * @param {number} position - New place in line (1 = next)
+ * @returns {Object} - { position, size } or { error } (user-facing message)
+ */
+async function moveOrder(orderNumber, position) {
+  const queued = await Order.find({ status: 'queued' })
+    .sort({ queuePosition: 1, createdAt: 1 })
+    .select('orderNumber');
+
+  const index = queued.findIndex(order => order.orderNumber === orderNumber);
+  if (index === -1) {
+    return { error: `❌ Order #${orderNumber} is not in the queue.` };
+  }
+
+  const [moved] = queued.splice(index, 1);
+  const target = Math.min(Math.max(1, position), queued.length + 1);
+  queued.splice(target - 1, 0, moved);
+
+  // Only orders still queued are renumbered, so one picked up meanwhile is left alone
+  await Order.bulkWrite(queued.map((order, i) => ({
+    updateOne: {
+      filter: { _id: order._id, status: 'queued' },
+      update: { $set: { queuePosition: i + 1, updatedAt: new Date() } }
+    }
+  })));
+
+  console.log(`↕️ [Queue] Order ${orderNumber} moved to position ${target} of ${queued.length}`);
+  return { position: target, size: queued.length };
+}
+
+/**
+ * Current pause state of the automation queue
+ * @returns {Object} - { paused, pausedBy, pausedAt, reason }
+ */
+async function getQueueState() {
+  const state = await QueueState.findOne({ key: QUEUE_STATE_KEY });
+  return state || { paused: false, pausedBy: null, pausedAt: null, reason: null };
+}
+
+/**
+ * Pause or resume the automation queue (the worker stops starting new orders while paused)
+ * @param {boolean} paused - Whether the queue should be paused
+ * @param {Object} options - { actor, reason }
+ * @returns {Object} - Updated queue state
+ */
+async function setQueuePaused(paused, { actor = 'system', reason = null } = {}) {
+  const state = await QueueState.findOneAndUpdate(
+    { key: QUEUE_STATE_KEY },
+    {
+      $set: {
+        paused,
+        pausedBy: paused ? actor : null,
+        pausedAt: paused ? new Date() : null,
+        reason: paused ? reason : null,
+        updatedAt: new Date()
+      }
+    },
+    { new: true, upsert: true }
+  );
+
+  console.log(`${paused ? '⏸️' : '▶️'} [Queue] Automation queue ${paused ? 'paused' : 'resumed'} by ${actor}${reason ? `: ${reason}` : ''}`);
+  return state;
+}
+
+/**
+ * Estimate how long the queue takes to clear at recent throughput
+ * Throughput is the number of orders the automation finished with in the window. The worker writes
+ * Mongo directly without history, so this goes by its timestamps: `automationCompletedAt` for placed
+ * orders, `completedAt` for settled ones, and `automationStartedAt` for runs left in `automation_failed`.
+ * @returns {Object} - { queueSize, processedInWindow, windowHours, perHour, etaMinutes } (etaMinutes null if no throughput)
+ */
+async function getDrainEstimate() {
+  const since = new Date(Date.now() - THROUGHPUT_WINDOW_HOURS * 60 * 60 * 1000);
+
+  const [queueSize, processedInWindow] = await Promise.all([
+    getQueueSize(),
+    Order.countDocuments({
+      automationStartedAt: { $ne: null },
+      status: { $nin: ['queued', 'processing'] },
+      $or: [
+        { automationCompletedAt: { $gte: since } },
+        { completedAt: { $gte: since } },
+        { status: 'automation_failed', automationStartedAt: { $gte: since } }
+      ]
+    })
+  ]);
+
+  const perHour = processedInWindow / THROUGHPUT_WINDOW_HOURS;
+  const etaMinutes = perHour > 0 ? Math.ceil((queueSize / perHour) * 60) : null;
+
+  return { queueSize, processedInWindow, windowHours: THROUGHPUT_WINDOW_HOURS, perHour, etaMinutes };
+}
+
+module.exports = {
+  getQueueSize,
+  getQueuedOrders,
+  getQueuedSince,
+  getNextQueuePosition,
+  isAwaitingDuplicateDecision,
+  requeueOrder,
+  moveOrder,
+  getQueueState,
+  setQueuePaused,
+  getDrainEstimate
+};
@@ -0,0 +1,167 @@
+// Order Search
+// Filtered, paginated order lists for /orders. The filters of a search are kept in memory for a
+// while so the Prev/Next buttons (whose custom IDs are too short to hold them) can page through it.
+
+const crypto = require('crypto');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { Order } = require('./models');
+const { formatCents, hasTicketChannel } = require('./orderDetails');
+
+const PAGE_SIZE = 10;
+const SEARCH_TTL_MS = 30 * 60 * 1000; // Prev/Next work for 30 minutes
+
+const STATUS_EMOJIS = {
+  pending_payment: '⏳',
+  payment_submitted: '📨',
+  payment_verified: '💳',
+  payment_failed: '⛔',
+  queued: '📋',
+  processing: '🔄',
+  order_placed: '🛵',
+  delivered: '✅',
+  failed: '❌',
+  automation_failed: '🤖',
+  cancelled: '🚫'
+};
+
+// searchId -> { filter, summary, expiresAt }
+const searches = new Map();
+
+/**
+ * Build the Mongo filter for a search
+ * @param {Object} criteria - { status, paymentMethod, userId, from, to, minCents, maxCents }
+ */
+function buildOrderFilter({ status, paymentMethod, userId, from, to, minCents, maxCents }) {
+  const filter = {};
+
+  if (status) filter.status = status;
+  if (paymentMethod) filter.paymentMethod = paymentMethod;
+  if (userId) filter.userId = userId;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lt = to;
+  }
+
+  const hasMin = Number.isInteger(minCents);
+  const hasMax = Number.isInteger(maxCents);
+  if (hasMin || hasMax) {
+    filter.chargeCents = {};
+    if (hasMin) filter.chargeCents.$gte = minCents;
+    if (hasMax) filter.chargeCents.$lte = maxCents;
+  }
+
+  return filter;
+}
+
+/**
+ * Remember a search so its pages can be requested later
+ * @param {Object} filter - Mongo filter
+ * @param {string} summary - Human readable description of the filters
+ * @returns {string} - Search ID
+ */
+function saveSearch(filter, summary) {
+  const now = Date.now();
+  for (const [id, search] of searches) {
+    if (search.expiresAt <= now) searches.delete(id);
+  }
+
+  const id = crypto.randomBytes(6).toString('hex');
+  searches.set(id, { filter, summary, expiresAt: now + SEARCH_TTL_MS });
+  return id;
+}
+
+/**
+ * Get a saved search
+ * @param {string} id - Search ID
+ * @returns {Object|null} - { filter, summary } or null if expired
+ */
+function getSearch(id) {
+  const search = searches.get(id);
+  if (!search || search.expiresAt <= Date.now()) {
+    searches.delete(id);
+    return null;
+  }
+  return search;
+}
+
+/**
+ * Get one page of orders matching a filter, newest first
+ * @param {Object} filter - Mongo filter
+ * @param {number} page - Page number (1-based)
+ * @returns {Object} - { orders, page, totalPages, total }
+ */
+async function findOrdersPage(filter, page = 1) {
+  const total = await Order.countDocuments(filter);
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const currentPage = Math.min(Math.max(1, page), totalPages);
+
+  const orders = await Order.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((currentPage - 1) * PAGE_SIZE)
+    .limit(PAGE_SIZE)
+    .select('orderNumber status paymentMethod chargeCents customerName discordChannelId createdAt');
+
+  return { orders, page: currentPage, totalPages, total };
+}
+
+/**
+ * Embed for one page of results
+ * @param {Object} result - { orders, page, totalPages, total } from findOrdersPage
+ * @param {Object} options - { summary, guildId }
+ */
+function buildOrdersEmbed({ orders, page, totalPages, total }, { summary, guildId }) {
+  const lines = orders.map(order => {
+    const ticket = hasTicketChannel(order)
+      ? (guildId ? ` · [ticket](https://discord.com/channels/${guildId}/${order.discordChannelId})` : ` · <#${order.discordChannelId}>`)
+      : '';
+
+    return `${STATUS_EMOJIS[order.status] || '•'} **${order.orderNumber}** \`${order.status}\` · ${order.paymentMethod} · ${formatCents(order.chargeCents)}` +
+      ` · <t:${Math.floor(order.createdAt.getTime() / 1000)}:R>${ticket}`;
+  });
+
+  return {
+    color: 0x5865F2,
+    title: `📦 Orders (${total})`,
+    description: `${summary}\n\n${lines.join('\n') || 'No orders match these filters'}`.substring(0, 4096),
+    footer: { text: `Page ${page}/${totalPages}` },
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Prev/Next buttons for a results page
+ * @param {string} searchId - Saved search ID
+ * @param {number} page - Current page
+ * @param {number} totalPages - Number of pages
+ */
+function buildOrdersRows(searchId, page, totalPages) {
+  if (totalPages <= 1) return [];
+
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`orderspage_${searchId}_${page - 1}`)
+        .setLabel('◀️ Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page <= 1),
+      new ButtonBuilder()
+        .setCustomId(`orderspage_${searchId}_${page + 1}`)
+        .setLabel('Next ▶️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= totalPages)
+    );
+
+  return [row];
+}
+
+module.exports = {
+  PAGE_SIZE,
+  buildOrderFilter,
+  saveSearch,
+  getSearch,
+  findOrdersPage,
+  buildOrdersEmbed,
+  buildOrdersRows
+};
@@ -0,0 +1,305 @@
+// Payment Monitor
+// Opens a ticket for every order that reaches `payment_verified`. Orders are picked up from a change
+// stream on `orders` (resumed from the token saved in Mongo after a restart) and by a slow polling
+// sweep that covers deployments without change streams and anything the stream missed. Each order
+// is claimed with a conditional update on `discordChannelId: null` first, so only one run ever
+// creates its channel.
+
+const { Order, StreamCheckpoint } = require('./models');
+const ticketService = require('./ticketService');
+const orderLifecycle = require('./orderLifecycle');
+const orderQueue = require('./orderQueue');
+const duplicateOrderService = require('./duplicateOrderService');
+const { PENDING_CHANNEL_ID } = require('./orderDetails');
+
+const PAYMENT_SWEEP_INTERVAL = 60 * 1000; // Fallback sweep every minute
+const STREAM_RETRY_DELAY = 30 * 1000; // Reopen a failed change stream after 30 seconds
+const STALE_CLAIM_MINUTES = 5; // Claims older than this are from a run that died, release them
+
+const CHECKPOINT_KEY = 'payment-monitor';
+
+// Mongo error codes: change streams need a replica set / the resume token fell off the oplog
+const CHANGE_STREAM_UNSUPPORTED_CODES = [40573, 40324];
+const CHANGE_STREAM_HISTORY_LOST_CODE = 286;
+
+let sweepRunning = false;
+let changeStream = null;
+
+// Change events are handled one at a time, in order
+let streamQueue = Promise.resolve();
+
+/**
+ * Claim an order for ticket creation
+ * @param {Object} order - Order document
+ * @returns {Object|null} - Claimed order, or null if another run already has it
+ */
+async function claimOrder(order) {
+  return Order.findOneAndUpdate(
+    { _id: order._id, status: 'payment_verified', discordChannelId: null },
+    { $set: { discordChannelId: PENDING_CHANNEL_ID, ticketClaimedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Give a claim back so the next sweep retries the order
+ * @param {Object} order - Claimed order document
+ */
+async function releaseClaim(order) {
+  await Order.updateOne(
+    { _id: order._id, discordChannelId: PENDING_CHANNEL_ID },
+    { $set: { discordChannelId: null, ticketClaimedAt: null } }
+  );
+}
+
+/**
+ * Undo a failed ticket creation without ever leaving the order with two channels
+ * A channel that was already created is deleted (and its ticket closed) before the claim is released.
+ * If it can't be deleted, its ID is kept on the order instead, so the order is never ticketed again.
+ * @param {Object} order - Claimed order document
+ * @param {Object|null} opened - { channel, ticket } from openTicketChannel, if it got that far
+ */
+async function rollbackTicket(order, opened) {
+  if (!opened) {
+    await releaseClaim(order);
+    return;
+  }
+
+  try {
+    await ticketService.closeTicket(opened.ticket, { reason: 'ticket creation failed' });
+    await ticketService.deleteTicketChannel(opened.channel, opened.ticket);
+  } catch (error) {
+    console.error(`❌ [Payment Monitor] Could not delete ticket channel ${opened.channel.id} of order ${order.orderNumber}, keeping it on the order:`, error);
+    await Order.updateOne(
+      { _id: order._id, discordChannelId: { $in: [PENDING_CHANNEL_ID, opened.channel.id] } },
+      { $set: { discordChannelId: opened.channel.id, ticketClaimedAt: null } }
+    );
+    return;
+  }
+
+  // flagOrder may already have stored the (now deleted) channel
+  await Order.updateOne(
+    { _id: order._id, discordChannelId: { $in: [PENDING_CHANNEL_ID, opened.channel.id] } },
+    { $set: { discordChannelId: null, ticketClaimedAt: null } }
+  );
+}
+
+/**
+ * Open the ticket for a payment-verified order and hand it to the automation queue
+ * Possible duplicates get a warning instead and stay out of the queue until staff decide.
+ * @param {Object} client - Discord client
+ * @param {Object} order - Order document
+ * @returns {boolean} - Whether this run created the ticket
+ */
+async function createDiscordTicket(client, order) {
+  const claimed = await claimOrder(order);
+  if (!claimed) return false;
+
+  let opened = null;
+
+  try {
+    const duplicates = await duplicateOrderService.findPossibleDuplicates(claimed);
+
+    if (duplicates.length > 0) {
+      opened = await ticketService.openTicketChannel(client, claimed, {
+        content: '@here ⚠️ New order flagged as a possible duplicate - review it before processing!',
+        description: 'Payment verified - held out of the automation queue until the duplicate check below is decided',
+        retry: false
+      });
+      const ticketChannel = opened.channel;
+
+      // Stays payment_verified (not queued) until staff Merge, Cancel or Proceed
+      await duplicateOrderService.flagOrder(claimed, duplicates, ticketChannel.id);
+      await ticketChannel.send({
+        embeds: [duplicateOrderService.buildWarningEmbed(claimed, duplicates, ticketChannel.guildId)],
+        components: duplicateOrderService.buildDecisionRows(claimed.orderNumber, duplicates[0].order.orderNumber)
+      });
+
+      console.log(`⚠️ [Payment Monitor] Order ${claimed.orderNumber} flagged as possible duplicate of ${duplicates.map(d => d.order.orderNumber).join(', ')}`);
+      return true;
+    }
+
+    opened = await ticketService.openTicketChannel(client, claimed);
+    const ticketChannel = opened.channel;
+
+    // Update order in database - now available for automation queue
+    await orderLifecycle.transitionOrder(claimed, 'queued', {
+      source: 'payment-monitor',
+      set: { discordChannelId: ticketChannel.id, queuePosition: await orderQueue.getNextQueuePosition() }
+    });
+
+    console.log(`✅ [Payment Monitor] Order ${claimed.orderNumber} updated: discordChannelId=${ticketChannel.id}, status=queued`);
+    return true;
+
+  } catch (error) {
+    console.error(`❌ [Payment Monitor] Error creating ticket for order ${claimed.orderNumber}:`, error);
+    await rollbackTicket(claimed, opened).catch(rollbackError => {
+      console.error(`❌ [Payment Monitor] Failed to roll back ticket creation for order ${claimed.orderNumber}:`, rollbackError);
+    });
+    throw error;
+  }
+}
+
+/**
+ * Fallback sweep: release stale claims and open tickets for payment-verified orders without one
+ * @param {Object} client - Discord client
+ */
+async function sweepPaymentVerifiedOrders(client) {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const released = await Order.updateMany(
+      {
+        status: 'payment_verified',
+        discordChannelId: PENDING_CHANNEL_ID,
+        ticketClaimedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MINUTES * 60 * 1000) }
+      },
+      { $set: { discordChannelId: null, ticketClaimedAt: null } }
+    );
+    if (released.modifiedCount > 0) {
+      console.warn(`⚠️ [Payment Monitor] Released ${released.modifiedCount} stale ticket claim(s)`);
+    }
+
+    const orders = await Order.find({
+      status: 'payment_verified',
+      discordChannelId: null
+    }).limit(10); // Process max 10 orders per sweep
+
+    if (orders.length > 0) {
+      console.log(`[Payment Monitor] Sweep found ${orders.length} payment-verified order(s) without tickets`);
+    }
+
+    for (const order of orders) {
+      try {
+        await createDiscordTicket(client, order);
+      } catch (error) {
+        console.error(`❌ [Payment Monitor] Failed to create ticket for order ${order.orderNumber}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('❌ [Payment Monitor] Error sweeping payment-verified orders:', error);
+  } finally {
+    sweepRunning = false;
+  }
+}
+
+/**
+ * Resume token saved by the last run, if any
+ */
+async function loadResumeToken() {
+  const checkpoint = await StreamCheckpoint.findOne({ key: CHECKPOINT_KEY });
+  return checkpoint ? checkpoint.resumeToken : null;
+}
+
+/**
+ * Save the resume token of the last handled change event
+ * @param {Object|null} resumeToken - Change event `_id`, or null to start fresh next time
+ */
+async function saveResumeToken(resumeToken) {
+  await StreamCheckpoint.updateOne(
+    { key: CHECKPOINT_KEY },
+    { $set: { resumeToken, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Handle one change event: open the ticket, then checkpoint the event
+ * @param {Object} client - Discord client
+ * @param {Object} change - Change stream event
+ */
+async function handleChange(client, change) {
+  const order = change.fullDocument;
+
+  if (order && order.status === 'payment_verified' && !order.discordChannelId) {
+    try {
+      await createDiscordTicket(client, order);
+    } catch (error) {
+      // Claim was released, the sweep retries it
+      console.error(`❌ [Payment Monitor] Failed to create ticket for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  await saveResumeToken(change._id);
+}
+
+/**
+ * Open the change stream on `orders` for orders entering `payment_verified`
+ * Updates only match when `status` itself changed, so releasing a claim doesn't loop back here.
+ * @param {Object} client - Discord client
+ */
+async function openChangeStream(client) {
+  const resumeToken = await loadResumeToken();
+
+  const pipeline = [
+    {
+      $match: {
+        'fullDocument.status': 'payment_verified',
+        $or: [
+          { operationType: { $in: ['insert', 'replace'] } },
+          { operationType: 'update', 'updateDescription.updatedFields.status': 'payment_verified' }
+        ]
+      }
+    }
+  ];
+
+  const options = { fullDocument: 'updateLookup' };
+  if (resumeToken) options.resumeAfter = resumeToken;
+
+  changeStream = Order.watch(pipeline, options);
+
+  changeStream.on('change', change => {
+    streamQueue = streamQueue
+      .then(() => handleChange(client, change))
+      .catch(error => console.error('❌ [Payment Monitor] Error handling change event:', error));
+  });
+
+  changeStream.on('error', async error => {
+    const stream = changeStream;
+    changeStream = null;
+    await stream.close().catch(() => {});
+
+    if (CHANGE_STREAM_UNSUPPORTED_CODES.includes(error.code)) {
+      console.warn('⚠️ [Payment Monitor] Change streams not available (needs a replica set), using the polling sweep only');
+      return;
+    }
+
+    if (error.code === CHANGE_STREAM_HISTORY_LOST_CODE) {
+      // The sweep picks up whatever happened while we couldn't resume
+      console.warn('⚠️ [Payment Monitor] Resume token expired, starting the change stream fresh');
+      await saveResumeToken(null).catch(() => {});
+      sweepPaymentVerifiedOrders(client);
+    } else {
+      console.error('❌ [Payment Monitor] Change stream error, reopening shortly:', error);
+    }
+
+    setTimeout(() => openChangeStream(client).catch(openError => {
+      console.error('❌ [Payment Monitor] Failed to reopen change stream:', openError);
+    }), STREAM_RETRY_DELAY);
+  });
+
+  console.log(`💳 [Payment Monitor] Change stream open${resumeToken ? ' (resumed)' : ''}`);
+}
+
+/**
+ * Start the payment monitor
+ * @param {Object} client - Discord client
+ */
+function startPaymentMonitor(client) {
+  console.log(`💳 Payment Monitor started (change stream, fallback sweep every ${PAYMENT_SWEEP_INTERVAL / 1000} seconds)`);
+
+  openChangeStream(client).catch(error => {
+    console.error('❌ [Payment Monitor] Failed to open change stream, using the polling sweep only:', error);
+  });
+
+  // Sweep immediately for anything verified while the bot was down, then every interval
+  sweepPaymentVerifiedOrders(client);
+  setInterval(() => sweepPaymentVerifiedOrders(client), PAYMENT_SWEEP_INTERVAL);
+}
+
+module.exports = {
+  createDiscordTicket,
+  sweepPaymentVerifiedOrders,
+  startPaymentMonitor
+};
@@ -0,0 +1,252 @@
+// Manual Payment Review
+// Posts every `payment_submitted` order to PAYMENTS_REVIEW_CHANNEL_ID with Approve / Reject buttons,
+// for payments the worker can't verify by itself (Zelle, edge cases). Approving moves the order to
+// `payment_verified` so the payment monitor opens its ticket; rejecting moves it to `payment_failed`
+// and tells the customer why. Each submission is reviewed once, and the decision is kept on the order.
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { Order, User } = require('./models');
+const orderLifecycle = require('./orderLifecycle');
+const customerNotifier = require('./customerNotifier');
+const { formatPaymentInfo } = require('./ticketComponents');
+
+const PAYMENT_REVIEW_CHECK_INTERVAL = 30 * 1000; // Check every 30 seconds
+
+const PAYMENTS_REVIEW_CHANNEL_ID = process.env.PAYMENTS_REVIEW_CHANNEL_ID;
+
+let reviewRunning = false;
+
+/**
+ * Atomically open a review for an order's current submission
+ * Returns null if the order left `payment_submitted` or already has an open review.
+ * @param {Object} order - Order document
+ */
+async function openReview(order) {
+  return Order.findOneAndUpdate(
+    { _id: order._id, status: 'payment_submitted', paymentReviews: { $not: { $elemMatch: { decision: null } } } },
+    { $push: { paymentReviews: { channelId: PAYMENTS_REVIEW_CHANNEL_ID, postedAt: new Date() } } },
+    { new: true }
+  );
+}
+
+/**
+ * Review embed for a submitted payment
+ * @param {Object} order - Order document
+ * @param {Object|null} user - Customer
+ */
+function buildReviewEmbed(order, user) {
+  const customer = user
+    ? `${user.fullName || 'Unknown'}\n${user.email}${user.discordId ? `\n<@${user.discordId}>` : ''}`
+    : (order.customerName || 'Unknown');
+
+  return {
+    color: 0xFEE75C,
+    title: `💵 Payment to review: ${order.orderNumber}`,
+    description: 'Check that the payment arrived with this reference code before approving.',
+    fields: [
+      { name: '💰 Amount', value: formatPaymentInfo(order), inline: true },
+      { name: '🔖 Reference Code', value: `\`${order.paymentReferenceCode}\``, inline: true },
+      { name: '👤 Customer', value: customer, inline: false },
+      { name: '🕒 Submitted', value: `<t:${Math.floor(new Date(order.createdAt).getTime() / 1000)}:R>`, inline: true }
+    ],
+    footer: { text: 'Payment review' },
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Approve / Reject buttons for a review
+ * @param {string} orderNumber - Order number
+ */
+function buildReviewRows(orderNumber) {
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`payreview_approve_${orderNumber}`)
+        .setLabel('✅ Approve')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`payreview_reject_${orderNumber}`)
+        .setLabel('❌ Reject')
+        .setStyle(ButtonStyle.Danger)
+    );
+
+  return [row];
+}
+
+/**
+ * Modal asking why a payment is rejected
+ * @param {string} orderNumber - Order number
+ */
+function buildRejectModal(orderNumber) {
+  return new ModalBuilder()
+    .setCustomId(`payrejectmodal_${orderNumber}`)
+    .setTitle(`Reject payment for ${orderNumber}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('reason')
+          .setLabel('Reason (shown to the customer)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setPlaceholder('e.g. No Zelle payment received with this reference code')
+          .setRequired(true)
+          .setMaxLength(500)
+      )
+    );
+}
+
+/**
+ * Record the decision on the open review
+ * @param {Object} order - Order document
+ * @param {string} decision - 'approved' | 'rejected'
+ * @param {Object} options - { actor, reason }
+ */
+async function recordDecision(order, decision, { actor, reason = null }) {
+  await Order.updateOne(
+    { _id: order._id, 'paymentReviews.decision': null },
+    {
+      $set: {
+        'paymentReviews.$.decision': decision,
+        'paymentReviews.$.decidedBy': actor,
+        'paymentReviews.$.decidedAt': new Date(),
+        'paymentReviews.$.reason': reason
+      }
+    }
+  );
+}
+
+/**
+ * Approve a submitted payment
+ * The move to `payment_verified` is conditional on the status, so only one decision can win.
+ * @param {Object} order - Order document
+ * @param {Object} options - { actor }
+ * @returns {Object} - Updated order document
+ * @throws {InvalidTransitionError} - If the order is no longer `payment_submitted`
+ */
+async function approvePayment(order, { actor }) {
+  const verified = await orderLifecycle.transitionOrder(order, 'payment_verified', {
+    actor,
+    source: 'payment-review',
+    reason: 'payment approved',
+    set: { paymentVerified: true }
+  });
+
+  await recordDecision(verified, 'approved', { actor });
+
+  console.log(`✅ [Payment Review] Payment for order ${order.orderNumber} approved by ${actor}`);
+  return verified;
+}
+
+/**
+ * Reject a submitted payment and tell the customer why
+ * @param {Object} client - Discord client
+ * @param {Object} order - Order document
+ * @param {Object} options - { actor, reason }
+ * @returns {Object} - Updated order document
+ * @throws {InvalidTransitionError} - If the order is no longer `payment_submitted`
+ */
+async function rejectPayment(client, order, { actor, reason }) {
+  const failed = await orderLifecycle.transitionOrder(order, 'payment_failed', {
+    actor,
+    source: 'payment-review',
+    reason
+  });
+
+  await recordDecision(failed, 'rejected', { actor, reason });
+
+  await customerNotifier.notifyCustomer(client, failed, {
+    message: `❌ We couldn't verify the payment for your BitePlug order **${failed.orderNumber}**.\n📝 Reason: ${reason}\nYou can submit the payment again from the website.`,
+    update: { reason }
+  });
+
+  console.log(`❌ [Payment Review] Payment for order ${order.orderNumber} rejected by ${actor}: ${reason}`);
+  return failed;
+}
+
+/**
+ * Post a review for every submitted payment that doesn't have an open one
+ * @param {Object} client - Discord client
+ */
+async function postPendingReviews(client) {
+  if (reviewRunning) return;
+  reviewRunning = true;
+
+  try {
+    // Orders verified or failed elsewhere (e.g. by the payment worker) no longer need their review
+    await Order.updateMany(
+      { status: { $ne: 'payment_submitted' }, paymentReviews: { $elemMatch: { decision: null } } },
+      { $set: { 'paymentReviews.$[open].decision': 'superseded', 'paymentReviews.$[open].decidedAt': new Date() } },
+      { arrayFilters: [{ 'open.decision': null }] }
+    );
+
+    const candidates = await Order.find({
+      status: 'payment_submitted',
+      paymentReviews: { $not: { $elemMatch: { decision: null } } }
+    }).limit(25);
+
+    if (candidates.length === 0) return;
+
+    const channel = await client.channels.fetch(PAYMENTS_REVIEW_CHANNEL_ID);
+
+    for (const candidate of candidates) {
+      const order = await openReview(candidate);
+      if (!order) continue;
+
+      try {
+        const user = order.userId ? await User.findById(order.userId) : null;
+        const message = await channel.send({
+          embeds: [buildReviewEmbed(order, user)],
+          components: buildReviewRows(order.orderNumber)
+        });
+
+        await Order.updateOne(
+          { _id: order._id, 'paymentReviews.decision': null },
+          { $set: { 'paymentReviews.$.messageId': message.id } }
+        );
+
+        console.log(`💵 [Payment Review] Posted payment review for order ${order.orderNumber}`);
+      } catch (error) {
+        // Drop the review so the next check posts it again
+        console.error(`❌ [Payment Review] Failed to post review for order ${order.orderNumber}:`, error);
+        await Order.updateOne(
+          { _id: order._id },
+          { $pull: { paymentReviews: { decision: null, messageId: null } } }
+        ).catch(() => {});
+      }
+    }
+  } catch (error) {
+    console.error('❌ [Payment Review] Error posting payment reviews:', error);
+  } finally {
+    reviewRunning = false;
+  }
+}
+
+/**
+ * Start posting payment reviews
+ * @param {Object} client - Discord client
+ */
+function startPaymentReview(client) {
+  if (!PAYMENTS_REVIEW_CHANNEL_ID) {
+    console.warn('⚠️ PAYMENTS_REVIEW_CHANNEL_ID not set, manual payment review disabled');
+    return;
+  }
+
+  console.log(`💵 Payment Review started (checking every ${PAYMENT_REVIEW_CHECK_INTERVAL / 1000} seconds)`);
+
+  postPendingReviews(client);
+  setInterval(() => postPendingReviews(client), PAYMENT_REVIEW_CHECK_INTERVAL);
+}
+
+module.exports = {
+  buildRejectModal,
+  approvePayment,
+  rejectPayment,
+  startPaymentReview
+};
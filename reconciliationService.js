@@ -0,0 +1,200 @@
+// Payment Reconciliation
+// For orders created in a date range, compares per payment method what was received (verified),
+// delivered and charged with the wallet ledger's charge entries, and lists the orders whose money
+// doesn't add up. The full anomaly list is also rendered as CSV for /reconcile.
+
+const { AttachmentBuilder } = require('discord.js');
+const { Order, LedgerEntry } = require('./models');
+const { hasTicketChannel } = require('./orderDetails');
+
+const PAYMENT_METHODS = ['venmo', 'zelle', 'crypto'];
+const UNTICKETED_GRACE_MINUTES = 10; // Verified orders get a ticket within seconds, allow some slack
+const FAILED_STATUSES = ['failed', 'automation_failed', 'cancelled'];
+
+const ANOMALY_LABELS = {
+  verified_no_ticket: 'Verified but never ticketed',
+  delivered_not_charged: 'Delivered but never charged',
+  charged_but_failed: 'Charged but failed (not fully refunded)',
+  crypto_invoice_unpaid: 'Crypto invoice without payment',
+  ledger_mismatch: 'Charge does not match the ledger'
+};
+
+/**
+ * Net ledger charge and refund per order
+ * @param {Object[]} orderIds - Order ObjectIds
+ * @returns {Map} - orderId string -> { chargedCents, refundedCents }
+ */
+async function getLedgerTotals(orderIds) {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { orderId: { $in: orderIds }, type: { $in: ['charge', 'refund'] } } },
+    { $group: { _id: { orderId: '$orderId', type: '$type' }, amountCents: { $sum: '$amountCents' } } }
+  ]);
+
+  const totals = new Map();
+  for (const { _id, amountCents } of rows) {
+    const key = String(_id.orderId);
+    const entry = totals.get(key) || { chargedCents: 0, refundedCents: 0 };
+
+    // Charges are stored as negative amounts
+    if (_id.type === 'charge') entry.chargedCents -= amountCents;
+    else entry.refundedCents += amountCents;
+
+    totals.set(key, entry);
+  }
+  return totals;
+}
+
+/**
+ * Anomalies of one order
+ * @param {Object} order - Order document
+ * @param {Object} ledger - { chargedCents, refundedCents } from the ledger
+ * @param {Date} now - Report time
+ * @returns {Object[]} - [{ kind, detail }]
+ */
+function findOrderAnomalies(order, ledger, now) {
+  const anomalies = [];
+  const refundedCents = order.refundedCents || 0;
+
+  const ticketed = hasTicketChannel(order);
+  const verifiedAt = order.paymentVerifiedAt || order.createdAt;
+  if (order.paymentVerified && !ticketed && now - verifiedAt > UNTICKETED_GRACE_MINUTES * 60 * 1000) {
+    anomalies.push({ kind: 'verified_no_ticket', detail: `verified ${verifiedAt.toISOString()}, no ticket channel` });
+  }
+
+  if (order.status === 'delivered' && !order.charged) {
+    anomalies.push({ kind: 'delivered_not_charged', detail: `charged=false, charge ${formatDollars(order.chargeCents)}` });
+  }
+
+  if (order.charged && FAILED_STATUSES.includes(order.status) && refundedCents < order.chargeCents) {
+    anomalies.push({
+      kind: 'charged_but_failed',
+      detail: `status ${order.status}, refunded ${formatDollars(refundedCents)} of ${formatDollars(order.chargeCents)}`
+    });
+  }
+
+  if (order.paymentMethod === 'crypto' && order.cryptoInvoiceId && !order.cryptoPaymentId && order.paymentVerified) {
+    anomalies.push({ kind: 'crypto_invoice_unpaid', detail: `invoice ${order.cryptoInvoiceId} has no payment ID` });
+  }
+
+  const expectedLedgerCents = order.charged ? order.chargeCents : 0;
+  if (ledger.chargedCents !== expectedLedgerCents) {
+    anomalies.push({
+      kind: 'ledger_mismatch',
+      detail: `order ${order.charged ? `charged ${formatDollars(order.chargeCents)}` : 'not charged'}, ledger charges ${formatDollars(ledger.chargedCents)}`
+    });
+  } else if (ledger.refundedCents !== refundedCents) {
+    anomalies.push({
+      kind: 'ledger_mismatch',
+      detail: `order refunded ${formatDollars(refundedCents)}, ledger refunds ${formatDollars(ledger.refundedCents)}`
+    });
+  }
+
+  return anomalies;
+}
+
+/**
+ * Format cents as a plain dollar amount (for CSV and details)
+ * @param {number} cents - Amount in cents
+ */
+function formatDollars(cents) {
+  return `${cents < 0 ? '-' : ''}$${(Math.abs(cents || 0) / 100).toFixed(2)}`;
+}
+
+/**
+ * Build the reconciliation report for orders created in [from, to)
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Object} - { from, to, methods: { [method]: totals }, anomalies: [{ kind, detail, order }], orderCount }
+ */
+async function buildReconciliation(from, to) {
+  const orders = await Order.find({ createdAt: { $gte: from, $lt: to } })
+    .select('orderNumber status paymentMethod paymentVerified paymentVerifiedAt chargeCents charged refundedCents discordChannelId cryptoInvoiceId cryptoPaymentId createdAt')
+    .sort({ createdAt: 1 });
+
+  const ledgerTotals = await getLedgerTotals(orders.map(order => order._id));
+  const now = new Date();
+
+  const methods = {};
+  for (const method of PAYMENT_METHODS) {
+    methods[method] = {
+      orders: 0,
+      verifiedCents: 0,
+      deliveredCents: 0,
+      chargedCents: 0,
+      refundedCents: 0,
+      ledgerChargedCents: 0,
+      ledgerRefundedCents: 0
+    };
+  }
+
+  const anomalies = [];
+
+  for (const order of orders) {
+    const totals = methods[order.paymentMethod];
+    const ledger = ledgerTotals.get(String(order._id)) || { chargedCents: 0, refundedCents: 0 };
+
+    totals.orders += 1;
+    if (order.paymentVerified) totals.verifiedCents += order.chargeCents;
+    if (order.status === 'delivered') totals.deliveredCents += order.chargeCents;
+    if (order.charged) totals.chargedCents += order.chargeCents;
+    totals.refundedCents += order.refundedCents || 0;
+    totals.ledgerChargedCents += ledger.chargedCents;
+    totals.ledgerRefundedCents += ledger.refundedCents;
+
+    for (const anomaly of findOrderAnomalies(order, ledger, now)) {
+      anomalies.push({ ...anomaly, order });
+    }
+  }
+
+  return { from, to, methods, anomalies, orderCount: orders.length };
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {*} value - Field value
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the anomaly list as CSV
+ * @param {Object} report - Result of buildReconciliation
+ */
+function buildAnomalyCsv(report) {
+  const header = ['anomaly', 'order_number', 'payment_method', 'status', 'charge', 'charged', 'refunded', 'created_at', 'detail'];
+
+  const rows = report.anomalies.map(({ kind, detail, order }) => [
+    kind,
+    order.orderNumber,
+    order.paymentMethod,
+    order.status,
+    (order.chargeCents / 100).toFixed(2),
+    order.charged ? 'yes' : 'no',
+    ((order.refundedCents || 0) / 100).toFixed(2),
+    order.createdAt.toISOString(),
+    detail
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * CSV attachment of the anomaly list
+ * @param {Object} report - Result of buildReconciliation
+ * @param {string} label - Range label used in the file name (e.g. 2024-01-01_2024-01-31)
+ */
+function buildAnomalyAttachment(report, label) {
+  return new AttachmentBuilder(Buffer.from(buildAnomalyCsv(report), 'utf8'), {
+    name: `reconcile-${label}.csv`
+  });
+}
+
+module.exports = {
+  ANOMALY_LABELS,
+  formatDollars,
+  buildReconciliation,
+  buildAnomalyCsv,
+  buildAnomalyAttachment
+};
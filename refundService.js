@@ -0,0 +1,128 @@
+// Order Refund Service
+// Full or partial refunds of a charged order back to the customer's wallet. The order update and
+// the wallet credit (with its ledger entry) happen in one transaction, and the total refunded can
+// never exceed what was charged.
+
+const { Order } = require('./models');
+const ledgerService = require('./ledgerService');
+const customerNotifier = require('./customerNotifier');
+const { formatCents } = require('./orderDetails');
+
+class RefundError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RefundError';
+    this.code = code; // ORDER_NOT_FOUND | NOT_CHARGED | INVALID_AMOUNT | EXCEEDS_CHARGE
+  }
+}
+
+/**
+ * Amount of an order that can still be refunded
+ * @param {Object} order - Order document
+ * @returns {number} - Cents
+ */
+function getRefundableCents(order) {
+  if (!order.charged) return 0;
+  return Math.max(0, (order.chargeCents || 0) - (order.refundedCents || 0));
+}
+
+/**
+ * Refund part or all of a charged order to the customer's wallet
+ * @param {string|Object} orderId - Order ObjectId
+ * @param {number|null} amountCents - Amount to refund, null for everything still refundable
+ * @param {Object} options - { actor, reason, source }
+ * @returns {Object} - { order, user, amountCents }
+ * @throws {RefundError}
+ */
+async function refundOrder(orderId, amountCents, { actor = 'system', reason, source = 'system' } = {}) {
+  if (!reason || !reason.trim()) {
+    throw new RefundError('INVALID_AMOUNT', 'A refund reason is required.');
+  }
+
+  const result = await ledgerService.withTransaction(async session => {
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw new RefundError('ORDER_NOT_FOUND', 'Order not found.');
+    }
+
+    if (!order.charged) {
+      throw new RefundError('NOT_CHARGED', `Order #${order.orderNumber} was never charged, nothing to refund.`);
+    }
+
+    const refundable = getRefundableCents(order);
+    const amount = amountCents === null || amountCents === undefined ? refundable : amountCents;
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new RefundError(
+        refundable === 0 ? 'EXCEEDS_CHARGE' : 'INVALID_AMOUNT',
+        refundable === 0 ? `Order #${order.orderNumber} is already fully refunded.` : 'Refund amount must be greater than zero.'
+      );
+    }
+
+    if (amount > refundable) {
+      throw new RefundError(
+        'EXCEEDS_CHARGE',
+        `Refund of ${formatCents(amount)} exceeds the ${formatCents(refundable)} still refundable on order #${order.orderNumber} (charged ${formatCents(order.chargeCents)}).`
+      );
+    }
+
+    // Conditional on the refunded total, so concurrent refunds can't add up past the charge
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, charged: true, refundedCents: { $lte: order.chargeCents - amount } },
+      {
+        $inc: { refundedCents: amount },
+        $push: { refunds: { amountCents: amount, reason: reason.trim(), actor, createdAt: new Date() } },
+        $set: { updatedAt: new Date() }
+      },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw new RefundError('EXCEEDS_CHARGE', `Order #${order.orderNumber} was refunded meanwhile, check the remaining amount and try again.`);
+    }
+
+    const { user } = await ledgerService.applyBalanceChange(order.userId, amount, {
+      type: 'refund',
+      actor,
+      reason: reason.trim(),
+      orderId: order._id,
+      session
+    });
+
+    return { order: updated, user, amountCents: amount };
+  });
+
+  console.log(`↩️ [Refund] Refunded ${formatCents(result.amountCents)} on order ${result.order.orderNumber} (${source}, ${actor}): ${reason}`);
+  return result;
+}
+
+/**
+ * Announce a refund in the order notification channel and to the customer
+ * @param {Object} client - Discord client
+ * @param {Object} order - Refunded order document
+ * @param {number} amountCents - Amount refunded
+ * @param {string} reason - Refund reason
+ */
+async function announceRefund(client, order, amountCents, reason) {
+  if (global.sendOrderNotification) {
+    await global.sendOrderNotification('refund', order.orderNumber, {
+      amountCents,
+      refundedCents: order.refundedCents,
+      chargeCents: order.chargeCents,
+      reason
+    });
+  }
+
+  const full = order.refundedCents >= order.chargeCents;
+  await customerNotifier.notifyCustomer(client, order, {
+    message: `↩️ ${formatCents(amountCents)} from your BitePlug order **${order.orderNumber}** has been refunded to your wallet${full ? ' (full refund)' : ''}.\n📝 Reason: ${reason}`,
+    update: { refundedCents: order.refundedCents }
+  });
+}
+
+module.exports = {
+  RefundError,
+  getRefundableCents,
+  refundOrder,
+  announceRefund
+};
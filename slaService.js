@@ -0,0 +1,208 @@
+// Ticket SLA Service
+// Reminds, escalates and pages when tickets sit unclaimed (or claimed but unfinished) for too long.
+// All timer state lives on the Ticket document, so a bot restart never loses or repeats an alert.
+
+const { Ticket } = require('./models');
+
+const SLA_CHECK_INTERVAL = 60 * 1000; // Check every minute
+
+const SLA_REMIND_MINUTES = parseInt(process.env.SLA_REMIND_MINUTES || '5', 10);
+const SLA_ESCALATE_MINUTES = parseInt(process.env.SLA_ESCALATE_MINUTES || '15', 10);
+const SLA_PAGE_MINUTES = parseInt(process.env.SLA_PAGE_MINUTES || '30', 10);
+const SLA_CLAIMED_MINUTES = parseInt(process.env.SLA_CLAIMED_MINUTES || '45', 10);
+const SLA_ONCALL_ROLE_ID = process.env.SLA_ONCALL_ROLE_ID; // Role pinged on escalation
+
+let slaCheckRunning = false;
+
+// Stages for unclaimed tickets, measured from when the ticket was opened (or reopened)
+const UNCLAIMED_STAGES = [
+  { stage: 'unclaimed_remind', minutes: SLA_REMIND_MINUTES },
+  { stage: 'unclaimed_escalate', minutes: SLA_ESCALATE_MINUTES },
+  { stage: 'unclaimed_page', minutes: SLA_PAGE_MINUTES }
+];
+
+const STAGE_LABELS = {
+  unclaimed_remind: 'Unclaimed (reminder)',
+  unclaimed_escalate: 'Unclaimed (escalated to on-call)',
+  unclaimed_page: 'Unclaimed (owner paged)',
+  claimed_overdue: 'Claimed but not finished'
+};
+
+/**
+ * Atomically record a stage on a ticket
+ * Returns null if another run already recorded it, so each alert is sent exactly once.
+ * A breach with a claimedAt is only unique for that claim, so every new owner gets their own.
+ * @param {Object} filter - Ticket query the ticket must still match
+ * @param {Object} breach - { stage, thresholdMinutes, claimedBy, claimedAt }
+ */
+async function recordBreach(filter, breach) {
+  const key = breach.claimedAt ? { stage: breach.stage, claimedAt: breach.claimedAt } : { stage: breach.stage };
+
+  return Ticket.findOneAndUpdate(
+    { ...filter, slaBreaches: { $not: { $elemMatch: key } } },
+    {
+      $push: { slaBreaches: { ...breach, breachedAt: new Date() } },
+      $set: { updatedAt: new Date() }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Build the alert message for a breached stage
+ * @param {Object} ticket - Ticket document
+ * @param {string} stage - SLA stage
+ * @param {number} minutes - Threshold that was breached
+ */
+function buildBreachMessage(ticket, stage, minutes) {
+  switch (stage) {
+    case 'unclaimed_remind':
+      return `⏰ @here Order **${ticket.orderNumber}** has been waiting ${minutes} minutes without being claimed.`;
+    case 'unclaimed_escalate':
+      return `🚨 ${SLA_ONCALL_ROLE_ID ? `<@&${SLA_ONCALL_ROLE_ID}>` : '@here'} Order **${ticket.orderNumber}** is still unclaimed after ${minutes} minutes. Please pick it up now.`;
+    case 'unclaimed_page':
+      return `🚨🚨 ${process.env.OWNER_ID ? `<@${process.env.OWNER_ID}>` : '@here'} Order **${ticket.orderNumber}** has been unclaimed for ${minutes} minutes!`;
+    case 'claimed_overdue':
+      return `⏰ <@${ticket.claimedBy}> order **${ticket.orderNumber}** was claimed ${minutes} minutes ago and still isn't finished. Mark it Success/Fail or transfer it.`;
+    default:
+      return `⏰ Order **${ticket.orderNumber}** breached its SLA.`;
+  }
+}
+
+/**
+ * Post an SLA alert in the ticket channel (and DM the owner for pages)
+ * @param {Object} client - Discord client
+ * @param {Object} ticket - Ticket document
+ * @param {string} stage - SLA stage
+ * @param {number} minutes - Threshold that was breached
+ */
+async function sendBreachAlert(client, ticket, stage, minutes) {
+  const message = buildBreachMessage(ticket, stage, minutes);
+
+  try {
+    const channel = await client.channels.fetch(ticket.channelId);
+    await channel.send(message);
+  } catch (error) {
+    console.error(`❌ [SLA] Failed to post ${stage} alert for order ${ticket.orderNumber}:`, error);
+  }
+
+  if (stage === 'unclaimed_page' && process.env.OWNER_ID) {
+    try {
+      const owner = await client.users.fetch(process.env.OWNER_ID);
+      await owner.send(`🚨 Order **${ticket.orderNumber}** has been unclaimed for ${minutes} minutes: <#${ticket.channelId}>`);
+    } catch (error) {
+      console.error(`❌ [SLA] Failed to page owner for order ${ticket.orderNumber}:`, error);
+    }
+  }
+
+  console.log(`⏰ [SLA] ${stage} for order ${ticket.orderNumber} (${minutes} min)`);
+}
+
+/**
+ * Find tickets past their thresholds and alert once per stage
+ * @param {Object} client - Discord client
+ */
+async function checkSlaTimers(client) {
+  if (slaCheckRunning) return;
+  slaCheckRunning = true;
+
+  try {
+    const now = Date.now();
+
+    for (const { stage, minutes } of UNCLAIMED_STAGES) {
+      const cutoff = new Date(now - minutes * 60 * 1000);
+      const filter = {
+        state: 'open',
+        // Tickets from before openedAt existed count from creation
+        $or: [{ openedAt: { $lte: cutoff } }, { openedAt: null, createdAt: { $lte: cutoff } }]
+      };
+
+      const candidates = await Ticket.find({ ...filter, 'slaBreaches.stage': { $ne: stage } }).limit(50);
+
+      for (const candidate of candidates) {
+        const ticket = await recordBreach({ ...filter, _id: candidate._id }, { stage, thresholdMinutes: minutes });
+        if (ticket) {
+          await sendBreachAlert(client, ticket, stage, minutes);
+        }
+      }
+    }
+
+    const claimedFilter = {
+      state: 'claimed',
+      claimedAt: { $lte: new Date(now - SLA_CLAIMED_MINUTES * 60 * 1000) }
+    };
+
+    // Claims that haven't had their overdue alert yet (an unclaim, transfer or re-claim starts a new one)
+    const overdue = await Ticket.find({
+      ...claimedFilter,
+      $expr: {
+        $not: {
+          $in: ['$claimedAt', {
+            $map: {
+              input: {
+                $filter: { input: { $ifNull: ['$slaBreaches', []] }, cond: { $eq: ['$$this.stage', 'claimed_overdue'] } }
+              },
+              in: '$$this.claimedAt'
+            }
+          }]
+        }
+      }
+    })
+      .sort({ claimedAt: 1 })
+      .limit(50);
+
+    for (const candidate of overdue) {
+      const ticket = await recordBreach(
+        { ...claimedFilter, _id: candidate._id, claimedAt: candidate.claimedAt },
+        {
+          stage: 'claimed_overdue',
+          thresholdMinutes: SLA_CLAIMED_MINUTES,
+          claimedBy: candidate.claimedBy,
+          claimedAt: candidate.claimedAt
+        }
+      );
+      if (ticket) {
+        await sendBreachAlert(client, ticket, 'claimed_overdue', SLA_CLAIMED_MINUTES);
+      }
+    }
+  } catch (error) {
+    console.error('❌ [SLA] Error checking SLA timers:', error);
+  } finally {
+    slaCheckRunning = false;
+  }
+}
+
+/**
+ * Start the SLA sweep
+ * @param {Object} client - Discord client
+ */
+function startSlaMonitoring(client) {
+  console.log(`⏰ SLA Monitoring started (remind ${SLA_REMIND_MINUTES}m, escalate ${SLA_ESCALATE_MINUTES}m, page ${SLA_PAGE_MINUTES}m, claimed ${SLA_CLAIMED_MINUTES}m)`);
+
+  checkSlaTimers(client);
+  setInterval(() => checkSlaTimers(client), SLA_CHECK_INTERVAL);
+}
+
+/**
+ * Get tickets that breached an SLA stage within a date range
+ * @param {Date} from - Start of range (inclusive)
+ * @param {Date} to - End of range (exclusive)
+ * @returns {Object[]} - [{ ticket, breaches }] sorted by ticket creation
+ */
+async function getSlaBreaches(from, to) {
+  const tickets = await Ticket.find({
+    slaBreaches: { $elemMatch: { breachedAt: { $gte: from, $lt: to } } }
+  }).sort({ createdAt: 1 });
+
+  return tickets.map(ticket => ({
+    ticket,
+    breaches: ticket.slaBreaches.filter(b => b.breachedAt >= from && b.breachedAt < to)
+  }));
+}
+
+module.exports = {
+  STAGE_LABELS,
+  checkSlaTimers,
+  startSlaMonitoring,
+  getSlaBreaches
+};
@@ -1,6 +1,25 @@
 const { PermissionFlagsBits, EmbedBuilder } = require('discord.js');
 const vccService = require('./vccService');
-const { Order, DailyStats } = require('./models');
+const ticketService = require('./ticketService');
+const transcriptService = require('./transcriptService');
+const slaService = require('./slaService');
+const noteService = require('./noteService');
+const orderDetails = require('./orderDetails');
+const orderLifecycle = require('./orderLifecycle');
+const chargingService = require('./chargingService');
+const refundService = require('./refundService');
+const cancellationService = require('./cancellationService');
+const orderQueue = require('./orderQueue');
+const customerNotifier = require('./customerNotifier');
+const ledgerService = require('./ledgerService');
+const walletView = require('./walletView');
+const orderSearch = require('./orderSearch');
+const reconciliationService = require('./reconciliationService');
+const { isStaffMember, isAdminMember } = require('./staff');
+const { Order, User, DailyStats } = require('./models');
+
+// Commands staff can use without Administrator (each handler does its own finer checks)
+const STAFF_COMMANDS = ['ticket', 'note', 'order', 'orders', 'requeue', 'wallet', 'queue'];
 
 /**
  * Handle all Discord slash commands
@@ -9,8 +28,15 @@ const { Order, DailyStats } = require('./models');
 async function handleSlashCommand(interaction) {
   const { commandName } = interaction;
 
-  // Verify user has admin permissions (all commands are admin only)
-  if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator)) {
+  if (STAFF_COMMANDS.includes(commandName)) {
+    if (!isStaffMember(interaction.member)) {
+      return interaction.reply({
+        content: '❌ You do not have permission to use this command. (Staff only)',
+        ephemeral: true,
+      });
+    }
+  } else if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    // Verify user has admin permissions (all other commands are admin only)
     return interaction.reply({
       content: '❌ You do not have permission to use this command. (Admin only)',
       ephemeral: true,
@@ -37,6 +63,42 @@ async function handleSlashCommand(interaction) {
       case 'complete-order':
         await handleCompleteOrder(interaction);
         break;
+      case 'requeue':
+        await handleRequeue(interaction);
+        break;
+      case 'queue':
+        await handleQueue(interaction);
+        break;
+      case 'cancel-order':
+        await handleCancelOrder(interaction);
+        break;
+      case 'refund':
+        await handleRefund(interaction);
+        break;
+      case 'ticket':
+        await handleTicket(interaction);
+        break;
+      case 'order':
+        await handleOrder(interaction);
+        break;
+      case 'orders':
+        await handleOrders(interaction);
+        break;
+      case 'note':
+        await handleNote(interaction);
+        break;
+      case 'wallet':
+        await handleWallet(interaction);
+        break;
+      case 'sla':
+        await handleSla(interaction);
+        break;
+      case 'reconcile':
+        await handleReconcile(interaction);
+        break;
+      case 'transcript':
+        await handleTranscript(interaction);
+        break;
       case 'announce':
         await handleAnnounce(interaction);
         break;
@@ -66,6 +128,37 @@ async function handleSlashCommand(interaction) {
   }
 }
 
+/**
+ * Handle autocomplete for slash command options
+ * @param {Interaction} interaction - Discord autocomplete interaction
+ */
+async function handleAutocomplete(interaction) {
+  try {
+    if (!isStaffMember(interaction.member)) {
+      return interaction.respond([]);
+    }
+
+    const focused = interaction.options.getFocused(true);
+
+    if (focused.name === 'order-number') {
+      const escaped = focused.value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const orders = await Order.find(escaped ? { orderNumber: { $regex: `^${escaped}`, $options: 'i' } } : {})
+        .sort({ createdAt: -1 })
+        .limit(25)
+        .select('orderNumber status');
+
+      return interaction.respond(orders.map(order => ({
+        name: `${order.orderNumber} (${order.status})`,
+        value: order.orderNumber,
+      })));
+    }
+
+    await interaction.respond([]);
+  } catch (error) {
+    console.error('❌ Error handling autocomplete:', error);
+  }
+}
+
 /**
  * /vcc-stats - Display VCC inventory statistics
  */
@@ -160,12 +253,14 @@ async function handleDailyStats(interaction) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    // Get today's stats
-    let stats = await DailyStats.findOne({ date: today });
+    // Get today's stats (DailyStats.date is YYYY-MM-DD)
+    let stats = await DailyStats.findOne({ date: new Date().toISOString().split('T')[0] });
     if (!stats) {
       stats = {
         successCount: 0,
         failureCount: 0,
+        refundCount: 0,
+        refundedCents: 0,
       };
     }
 
@@ -177,8 +272,7 @@ async function handleDailyStats(interaction) {
     // Get VCC stats
     const vccStats = await vccService.getVccStats();
 
-    // Get current queue size (from queueService if available)
-    const queueSize = global.queueService ? await global.queueService.getQueueSize() : 0;
+    const queueSize = await orderQueue.getQueueSize();
 
     const embed = new EmbedBuilder()
       .setColor(0x5865F2)
@@ -204,6 +298,11 @@ async function handleDailyStats(interaction) {
           name: '💳 VCC Inventory',
           value: `**Unused:** ${vccStats.unused}\n**Used:** ${vccStats.used}\n**Total:** ${vccStats.total}`,
           inline: true
+        },
+        {
+          name: '↩️ Refunds',
+          value: `**Count:** ${stats.refundCount || 0}\n**Total:** ${orderDetails.formatCents(stats.refundedCents || 0)}`,
+          inline: true
         }
       )
       .setFooter({ text: 'BitePlug Daily Statistics' })
@@ -223,56 +322,72 @@ async function handleClose(interaction) {
   const channel = interaction.channel;
 
   // Check if it's a ticket channel
-  if (!channel.name.startsWith('ticket-')) {
+  const { ticket, order } = await ticketService.getTicketContext(channel.id);
+  if (!ticket) {
     return interaction.reply({
       content: '❌ This command can only be used in ticket channels.',
       ephemeral: true,
     });
   }
 
-  // Check if order has been charged
-  const orderNumber = channel.name.replace('ticket-', '');
-  const order = await Order.findOne({ orderNumber });
-
-  if (order && order.status !== 'delivered' && order.status !== 'failed') {
-    // Warning - order not completed
+  if (ticket.state === 'closed') {
     return interaction.reply({
-      content: '⚠️ **Warning:** This order has not been marked as complete or failed!\n\nUse `/complete-order <number>` first, or run `/close` again within 10 seconds to force close.',
-      ephemeral: false,
+      content: '❌ This ticket is already closed.',
+      ephemeral: true,
     });
   }
 
-  await interaction.reply('🗑️ Closing ticket channel in 5 seconds...');
-
-  setTimeout(async () => {
-    try {
-      await channel.delete();
-      console.log(`🗑️ Ticket channel ${channel.name} closed by admin`);
-    } catch (error) {
-      console.error('❌ Error deleting channel:', error);
+  if (!ticketService.isOrderSettled(order)) {
+    // Warning - order not completed, unless this is the second /close within 10 seconds
+    const recent = await channel.messages.fetch({ limit: 5 });
+    const hasWarning = Array.from(recent.values()).some(msg =>
+      msg.author.id === interaction.client.user.id &&
+      msg.content.includes('Warning') &&
+      (Date.now() - msg.createdTimestamp) < 10000
+    );
+
+    if (!hasWarning) {
+      return interaction.reply({
+        content: '⚠️ **Warning:** This order has not been marked as complete or failed!\n\nUse `/complete-order <number>` first, or run `/close` again within 10 seconds to force close.',
+        ephemeral: false,
+      });
     }
-  }, 5000);
+  }
+
+  // Admins can skip the archive and delete the channel outright
+  const hardDelete = interaction.options.getBoolean('hard-delete') || false;
+  const closeAction = ticketService.getCloseMode(hardDelete) === 'delete' ? 'Deleting' : 'Archiving';
+
+  await interaction.reply(`🗑️ ${closeAction} ticket channel in 5 seconds...`);
+
+  await ticketService.closeTicketChannel(channel, ticket, {
+    closedBy: interaction.user.id,
+    reason: ticketService.isOrderSettled(order) ? 'closed' : 'force closed',
+    delayMs: 5000,
+    hardDelete,
+  });
 }
 
 /**
  * /complete-order - Mark order as completed and charge wallet
  */
 async function handleCompleteOrder(interaction) {
-  const orderNumber = interaction.options.getInteger('order-number');
+  const orderNumber = interaction.options.getString('order-number').trim();
   const channel = interaction.channel;
 
   await interaction.deferReply();
 
   try {
     // Find the order
-    const order = await Order.findOne({ orderNumber: orderNumber.toString() });
+    const order = await Order.findOne({ orderNumber });
 
     if (!order) {
       return interaction.editReply(`❌ Order #${orderNumber} not found.`);
     }
 
     // Verify order belongs to this ticket
-    if (order.discordChannelId !== channel.id) {
+    const ticket = await ticketService.getTicketByChannel(channel.id);
+    if (!ticket || !ticket.orderId.equals(order._id)) {
       return interaction.editReply(`❌ Order #${orderNumber} does not belong to this ticket channel.`);
     }
 
@@ -280,28 +395,20 @@ async function handleCompleteOrder(interaction) {
       return interaction.editReply(`❌ Order #${orderNumber} is already marked as delivered.`);
     }
 
-    // Get user and check balance
-    const User = require('./models').User;
-    const user = await User.findById(order.userId);
-
-    if (!user) {
-      return interaction.editReply(`❌ User not found for order #${orderNumber}.`);
-    }
-
-    if (user.walletBalance < order.totalPrice) {
-      return interaction.editReply(
-        `❌ Insufficient funds!\n**User:** ${user.email}\n**Balance:** $${user.walletBalance.toFixed(2)}\n**Order Total:** $${order.totalPrice.toFixed(2)}`
-      );
+    // Charge the wallet and mark the order delivered (single charging path)
+    let result;
+    try {
+      result = await chargingService.chargeOrder(order._id, { actor: interaction.user.id, source: 'slash' });
+    } catch (error) {
+      if (error instanceof chargingService.ChargeError || error instanceof orderLifecycle.InvalidTransitionError) {
+        return interaction.editReply(`❌ ${error.message}`);
+      }
+      throw error;
     }
 
-    // Charge the wallet
-    user.walletBalance -= order.totalPrice;
-    await user.save();
+    const { order: delivered, user } = result;
 
-    // Mark order as delivered
-    order.status = 'delivered';
-    order.deliveredAt = new Date();
-    await order.save();
+    await ticketService.completeTicket(ticket);
 
     // Send success message
     const embed = new EmbedBuilder()
@@ -309,9 +416,13 @@ async function handleCompleteOrder(interaction) {
       .setTitle('✅ Order Completed Successfully')
       .addFields(
         { name: '📋 Order Number', value: `#${orderNumber}`, inline: true },
-        { name: '💰 Amount Charged', value: `$${order.totalPrice.toFixed(2)}`, inline: true },
-        { name: '👤 Customer', value: user.email, inline: false },
-        { name: '💵 New Balance', value: `$${user.walletBalance.toFixed(2)}`, inline: true }
+        {
+          name: '💰 Amount Charged',
+          value: result.alreadyCharged ? 'Already charged' : `$${(result.chargedCents / 100).toFixed(2)}`,
+          inline: true
+        },
+        { name: '👤 Customer', value: user ? user.email : 'Unknown', inline: false },
+        { name: '💵 New Balance', value: user ? `$${(user.balanceCents / 100).toFixed(2)}` : 'N/A', inline: true }
       )
       .setFooter({ text: 'Customer has been notified' })
       .setTimestamp();
@@ -319,29 +430,1001 @@ async function handleCompleteOrder(interaction) {
     await interaction.editReply({ embeds: [embed] });
 
     // Notify customer via WebSocket
-    const wss = global.wss;
-    if (wss) {
-      wss.clients.forEach(client => {
-        if (client.userId === order.userId.toString()) {
-          client.send(JSON.stringify({
-            type: 'order-update',
-            order: {
-              orderNumber: order.orderNumber,
-              status: 'delivered',
-              deliveredAt: order.deliveredAt,
-            },
-          }));
-        }
-      });
-    }
+    customerNotifier.sendWebUpdate(delivered, {
+      status: 'delivered',
+      deliveredAt: delivered.completedAt,
+    });
 
-    console.log(`✅ Order #${orderNumber} completed by admin. Charged $${order.totalPrice.toFixed(2)} to ${user.email}`);
+    console.log(`✅ Order #${orderNumber} completed by admin. Charged $${(result.chargedCents / 100).toFixed(2)} to ${user ? user.email : 'unknown user'}`);
   } catch (error) {
     console.error('❌ Error completing order:', error);
     await interaction.editReply('❌ Failed to complete order. Check logs for details.');
   }
 }
 
+/**
+ * /requeue - Send an order back to the automation queue
+ */
+async function handleRequeue(interaction) {
+  const orderNumber = interaction.options.getString('order-number').trim();
+  const resetAttempts = interaction.options.getBoolean('reset-attempts') || false;
+
+  await interaction.deferReply();
+
+  try {
+    const order = await Order.findOne({ orderNumber });
+
+    if (!order) {
+      return interaction.editReply(`❌ Order #${orderNumber} not found.`);
+    }
+
+    let queued;
+    try {
+      queued = await orderQueue.requeueOrder(order, {
+        actor: interaction.user.id,
+        source: 'slash',
+        reason: resetAttempts ? 'retry automation (attempts reset)' : 'retry automation',
+        resetAttempts,
+      });
+    } catch (error) {
+      if (error instanceof orderLifecycle.InvalidTransitionError) {
+        return interaction.editReply(`❌ ${error.message}`);
+      }
+      throw error;
+    }
+
+    await interaction.editReply(
+      `🔁 **Order #${orderNumber} sent back to automation** (queue position ${queued.queuePosition}${resetAttempts ? ', attempts reset' : ''})`
+    );
+  } catch (error) {
+    console.error('❌ Error requeueing order:', error);
+    await interaction.editReply('❌ Failed to requeue order. Check logs for details.');
+  }
+}
+
+/**
+ * /queue - Automation queue subcommands
+ */
+async function handleQueue(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  // Reordering and pausing affect every order, so they stay with admins
+  if (['move', 'pause', 'resume'].includes(subcommand) && !isAdminMember(interaction.member)) {
+    return interaction.reply({
+      content: `❌ Only admins can use \`/queue ${subcommand}\`.`,
+      ephemeral: true,
+    });
+  }
+
+  switch (subcommand) {
+    case 'view':
+      await handleQueueView(interaction);
+      break;
+    case 'move':
+      await handleQueueMove(interaction);
+      break;
+    case 'pause':
+      await handleQueuePause(interaction, true);
+      break;
+    case 'resume':
+      await handleQueuePause(interaction, false);
+      break;
+    case 'drain-estimate':
+      await handleQueueDrainEstimate(interaction);
+      break;
+    default:
+      await interaction.reply({
+        content: '❌ Unknown subcommand.',
+        ephemeral: true,
+      });
+  }
+}
+
+/**
+ * Format a number of minutes as e.g. "45m" or "3h 20m"
+ * @param {number} minutes - Minutes
+ */
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+}
+
+/**
+ * /queue view - Show queued orders in pickup order with how long each has waited
+ */
+async function handleQueueView(interaction) {
+  await interaction.deferReply();
+
+  try {
+    const [orders, queueSize, state] = await Promise.all([
+      orderQueue.getQueuedOrders(),
+      orderQueue.getQueueSize(),
+      orderQueue.getQueueState(),
+    ]);
+
+    const lines = orders.map((order, i) => {
+      const waitMinutes = Math.floor((Date.now() - new Date(orderQueue.getQueuedSince(order)).getTime()) / 60000);
+      const ticket = orderDetails.hasTicketChannel(order) ? ` · <#${order.discordChannelId}>` : '';
+      const attempts = order.automationAttempts ? ` · 🤖 ${order.automationAttempts}` : '';
+
+      return `**${i + 1}.** ${order.orderNumber} · ${orderDetails.formatCents(order.chargeCents)} · ⏱️ ${formatMinutes(waitMinutes)}${attempts}${ticket}`;
+    });
+
+    if (queueSize > orders.length) {
+      lines.push(`…and ${queueSize - orders.length} more`);
+    }
+
+    const pausedLine = state.paused
+      ? `⏸️ **Paused** by ${state.pausedBy ? `<@${state.pausedBy}>` : 'unknown'} <t:${Math.floor(new Date(state.pausedAt).getTime() / 1000)}:R>${state.reason ? ` · ${state.reason}` : ''}\n\n`
+      : '';
+
+    const embed = new EmbedBuilder()
+      .setColor(state.paused ? 0xFF9500 : 0x5865F2)
+      .setTitle(`📋 Automation Queue (${queueSize})`)
+      .setDescription(`${pausedLine}${lines.join('\n') || 'The queue is empty'}`.substring(0, 4096))
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('❌ Error viewing queue:', error);
+    await interaction.editReply('❌ Failed to load the queue.');
+  }
+}
+
+/**
+ * /queue move - Change an order's place in the queue (Admin only)
+ */
+async function handleQueueMove(interaction) {
+  const orderNumber = interaction.options.getString('order-number').trim();
+  const position = interaction.options.getInteger('position');
+
+  await interaction.deferReply();
+
+  try {
+    const result = await orderQueue.moveOrder(orderNumber, position);
+    if (result.error) {
+      return interaction.editReply(result.error);
+    }
+
+    await interaction.editReply(`↕️ **Order #${orderNumber} moved** to position ${result.position} of ${result.size}`);
+    console.log(`↕️ Order ${orderNumber} moved to position ${result.position} by ${interaction.user.username}`);
+  } catch (error) {
+    console.error('❌ Error moving queued order:', error);
+    await interaction.editReply('❌ Failed to move order. Check logs for details.');
+  }
+}
+
+/**
+ * /queue pause and /queue resume - Stop or restart the automation worker picking up orders (Admin only)
+ * @param {Interaction} interaction - Discord interaction object
+ * @param {boolean} paused - Whether to pause or resume
+ */
+async function handleQueuePause(interaction, paused) {
+  const reason = paused ? interaction.options.getString('reason')?.trim() || null : null;
+
+  await interaction.deferReply();
+
+  try {
+    const current = await orderQueue.getQueueState();
+    if (current.paused === paused) {
+      return interaction.editReply(paused ? '⏸️ The automation queue is already paused.' : '▶️ The automation queue is not paused.');
+    }
+
+    await orderQueue.setQueuePaused(paused, { actor: interaction.user.id, reason });
+    const queueSize = await orderQueue.getQueueSize();
+
+    await interaction.editReply(paused
+      ? `⏸️ **Automation queue paused.** Orders already being placed will finish; ${queueSize} queued order(s) will wait.${reason ? `\n📝 ${reason}` : ''}`
+      : `▶️ **Automation queue resumed.** ${queueSize} queued order(s) will be picked up.`
+    );
+  } catch (error) {
+    console.error(`❌ Error ${paused ? 'pausing' : 'resuming'} queue:`, error);
+    await interaction.editReply(`❌ Failed to ${paused ? 'pause' : 'resume'} the queue. Check logs for details.`);
+  }
+}
+
+/**
+ * /queue drain-estimate - How long the queue should take to clear at recent throughput
+ */
+async function handleQueueDrainEstimate(interaction) {
+  await interaction.deferReply();
+
+  try {
+    const [estimate, state] = await Promise.all([
+      orderQueue.getDrainEstimate(),
+      orderQueue.getQueueState(),
+    ]);
+
+    let eta;
+    if (estimate.queueSize === 0) {
+      eta = 'The queue is empty';
+    } else if (estimate.etaMinutes === null) {
+      eta = `No orders processed in the last ${estimate.windowHours}h, can't estimate`;
+    } else {
+      const clearAt = Math.floor((Date.now() + estimate.etaMinutes * 60000) / 1000);
+      eta = `~${formatMinutes(estimate.etaMinutes)} (<t:${clearAt}:t>)`;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(state.paused ? 0xFF9500 : 0x5865F2)
+      .setTitle('⏳ Queue Drain Estimate')
+      .addFields(
+        { name: '📋 Queued', value: `${estimate.queueSize}`, inline: true },
+        { name: '⚙️ Throughput', value: `${estimate.perHour.toFixed(1)}/h (${estimate.processedInWindow} in ${estimate.windowHours}h)`, inline: true },
+        { name: '🏁 Clears In', value: eta, inline: false }
+      )
+      .setTimestamp();
+
+    if (state.paused) {
+      embed.setFooter({ text: '⏸️ Queue is paused - the estimate applies once it is resumed' });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('❌ Error estimating queue drain:', error);
+    await interaction.editReply('❌ Failed to estimate queue drain time.');
+  }
+}
+
+/**
+ * /cancel-order - Cancel an order that has not been delivered
+ */
+async function handleCancelOrder(interaction) {
+  const orderNumber = interaction.options.getString('order-number').trim();
+  const reason = interaction.options.getString('reason').trim();
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const order = await Order.findOne({ orderNumber });
+
+    if (!order) {
+      return interaction.editReply(`❌ Order #${orderNumber} not found.`);
+    }
+
+    if (!cancellationService.isCancellable(order)) {
+      return interaction.editReply(`❌ Order #${orderNumber} is \`${order.status}\`${order.charged ? ' and already charged' : ''} and can no longer be cancelled.`);
+    }
+
+    let result;
+    try {
+      result = await cancellationService.cancelOrder(interaction.client, order, {
+        actor: interaction.user.id,
+        reason,
+        source: 'slash',
+      });
+    } catch (error) {
+      if (error instanceof orderLifecycle.InvalidTransitionError) {
+        return interaction.editReply(`❌ ${error.message}`);
+      }
+      throw error;
+    }
+
+    const details = [
+      `✅ Order #${orderNumber} cancelled.`,
+      result.vccReturned ? '💳 VCC returned to inventory.' : null,
+      result.vccFlagged ? '⚠️ The VCC was already used, it was flagged for review instead of returned.' : null,
+      result.ticketClosed ? '🔒 Ticket is being closed.' : null,
+    ].filter(Boolean);
+
+    await interaction.editReply(details.join('\n'));
+  } catch (error) {
+    console.error('❌ Error cancelling order:', error);
+    await interaction.editReply('❌ Failed to cancel order. Check logs for details.');
+  }
+}
+
+/**
+ * /refund - Refund part or all of a delivered order to the customer's wallet
+ */
+async function handleRefund(interaction) {
+  const orderNumber = interaction.options.getString('order-number').trim();
+  const amountCents = Math.round(interaction.options.getNumber('amount') * 100);
+  const reason = interaction.options.getString('reason').trim();
+
+  if (amountCents <= 0) {
+    return interaction.reply({ content: '❌ Refund amount must be greater than zero.', ephemeral: true });
+  }
+
+  await interaction.deferReply();
+
+  try {
+    const order = await Order.findOne({ orderNumber });
+
+    if (!order) {
+      return interaction.editReply(`❌ Order #${orderNumber} not found.`);
+    }
+
+    if (order.status !== 'delivered') {
+      return interaction.editReply(`❌ Only delivered orders can be refunded (order #${orderNumber} is \`${order.status}\`).`);
+    }
+
+    let result;
+    try {
+      result = await refundService.refundOrder(order._id, amountCents, {
+        actor: interaction.user.id,
+        reason,
+        source: 'slash',
+      });
+    } catch (error) {
+      if (error instanceof refundService.RefundError) {
+        return interaction.editReply(`❌ ${error.message}`);
+      }
+      throw error;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(0xFF9500)
+      .setTitle('↩️ Order Refunded')
+      .addFields(
+        { name: '📋 Order Number', value: `#${orderNumber}`, inline: true },
+        { name: '💰 Refunded', value: orderDetails.formatCents(result.amountCents), inline: true },
+        {
+          name: '💳 Total Refunded',
+          value: `${orderDetails.formatCents(result.order.refundedCents)} of ${orderDetails.formatCents(result.order.chargeCents)}`,
+          inline: true
+        },
+        { name: '👤 Customer', value: result.user.email, inline: true },
+        { name: '💵 New Balance', value: orderDetails.formatCents(result.user.balanceCents), inline: true },
+        { name: '📝 Reason', value: reason.substring(0, 1024), inline: false }
+      )
+      .setFooter({ text: 'Customer has been notified' })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+
+    await refundService.announceRefund(interaction.client, result.order, result.amountCents, reason);
+  } catch (error) {
+    console.error('❌ Error refunding order:', error);
+    await interaction.editReply('❌ Failed to refund order. Check logs for details.');
+  }
+}
+
+/**
+ * /ticket - Ticket management subcommands
+ */
+async function handleTicket(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  switch (subcommand) {
+    case 'transfer':
+      await handleTicketTransfer(interaction);
+      break;
+    case 'reopen':
+      await handleTicketReopen(interaction);
+      break;
+    default:
+      await interaction.reply({
+        content: '❌ Unknown subcommand.',
+        ephemeral: true,
+      });
+  }
+}
+
+/**
+ * /ticket transfer - Hand the current ticket to another staff member
+ */
+async function handleTicketTransfer(interaction) {
+  const ticket = await ticketService.getTicketByChannel(interaction.channel.id);
+
+  if (!ticket) {
+    return interaction.reply({
+      content: '❌ This command can only be used in ticket channels.',
+      ephemeral: true,
+    });
+  }
+
+  if (ticket.claimedBy && !ticketService.canManageClaim(ticket, interaction.member)) {
+    return interaction.reply({
+      content: ticketService.buildClaimRefusal(ticket, 'transfer this ticket'),
+      ephemeral: true,
+    });
+  }
+
+  const toMember = interaction.options.getMember('staff');
+  if (!toMember) {
+    return interaction.reply({
+      content: '❌ That user is not in this server.',
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const { error } = await ticketService.reassignTicket(interaction.channel, ticket, {
+    actorId: interaction.user.id,
+    toMember,
+  });
+
+  await interaction.editReply(error || `✅ Ticket transferred to <@${toMember.id}>.`);
+}
+
+/**
+ * /ticket reopen - Reopen the ticket of a closed order
+ */
+async function handleTicketReopen(interaction) {
+  const orderNumber = interaction.options.getString('order-number').trim();
+  const reason = interaction.options.getString('reason').trim();
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const order = await Order.findOne({ orderNumber });
+
+    if (!order) {
+      return interaction.editReply(`❌ Order #${orderNumber} not found.`);
+    }
+
+    const { channel, error } = await ticketService.reopenTicket(interaction.client, order, {
+      actorId: interaction.user.id,
+      reason,
+    });
+
+    await interaction.editReply(error || `✅ Order #${orderNumber} reopened: <#${channel.id}>`);
+  } catch (error) {
+    console.error('❌ Error reopening ticket:', error);
+    await interaction.editReply('❌ Failed to reopen ticket. Check logs for details.');
+  }
+}
+
+/**
+ * /order - Show full details of an order
+ */
+async function handleOrder(interaction) {
+  const orderNumber = interaction.options.getString('order-number').trim();
+
+  // Ephemeral - may contain customer details
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const order = await Order.findOne({ orderNumber });
+
+    if (!order) {
+      return interaction.editReply(`❌ Order #${orderNumber} not found.`);
+    }
+
+    const user = order.userId ? await User.findById(order.userId) : null;
+    const embed = orderDetails.buildOrderDetailEmbed(order, user, { guildId: interaction.guildId });
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('❌ Error looking up order:', error);
+    await interaction.editReply('❌ Failed to look up order.');
+  }
+}
+
+/**
+ * /orders - Search orders with filters, one page at a time
+ */
+async function handleOrders(interaction) {
+  const status = interaction.options.getString('status');
+  const paymentMethod = interaction.options.getString('payment-method');
+  const email = interaction.options.getString('email')?.trim().toLowerCase();
+  const minAmount = interaction.options.getNumber('min-amount');
+  const maxAmount = interaction.options.getNumber('max-amount');
+
+  let from;
+  let to;
+  try {
+    from = parseDateOption(interaction.options.getString('from'));
+    const toDate = parseDateOption(interaction.options.getString('to'));
+    // `to` is inclusive for the user
+    to = toDate ? new Date(toDate.getTime() + 24 * 60 * 60 * 1000) : null;
+  } catch (error) {
+    return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+  }
+
+  if (from && to && from >= to) {
+    return interaction.reply({ content: '❌ `from` must be before `to`', ephemeral: true });
+  }
+
+  // Ephemeral - lists customer orders
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    let userId = null;
+    if (email) {
+      const user = await User.findOne({ email }).select('_id');
+      if (!user) {
+        return interaction.editReply(`❌ No account found for ${email}.`);
+      }
+      userId = user._id;
+    }
+
+    const filter = orderSearch.buildOrderFilter({
+      status,
+      paymentMethod,
+      userId,
+      from,
+      to,
+      minCents: minAmount === null ? null : Math.round(minAmount * 100),
+      maxCents: maxAmount === null ? null : Math.round(maxAmount * 100),
+    });
+
+    const summary = [
+      status && `**Status:** \`${status}\``,
+      paymentMethod && `**Payment:** ${paymentMethod}`,
+      email && `**Customer:** ${email}`,
+      from && `**From:** ${from.toISOString().split('T')[0]}`,
+      to && `**To:** ${new Date(to.getTime() - 1).toISOString().split('T')[0]}`,
+      minAmount !== null && `**Min:** ${orderDetails.formatCents(Math.round(minAmount * 100))}`,
+      maxAmount !== null && `**Max:** ${orderDetails.formatCents(Math.round(maxAmount * 100))}`,
+    ].filter(Boolean).join(' · ') || 'All orders';
+
+    const searchId = orderSearch.saveSearch(filter, summary);
+    const result = await orderSearch.findOrdersPage(filter, 1);
+
+    await interaction.editReply({
+      embeds: [orderSearch.buildOrdersEmbed(result, { summary, guildId: interaction.guildId })],
+      components: orderSearch.buildOrdersRows(searchId, result.page, result.totalPages),
+    });
+  } catch (error) {
+    console.error('❌ Error searching orders:', error);
+    await interaction.editReply('❌ Failed to search orders.');
+  }
+}
+
+/**
+ * Show another page of /orders results (Previous/Next buttons)
+ * @param {Interaction} interaction - Discord button interaction
+ */
+async function handleOrdersPageButton(interaction) {
+  const [, searchId, page] = interaction.customId.split('_');
+
+  try {
+    const search = orderSearch.getSearch(searchId);
+    if (!search) {
+      return interaction.update({ content: '⌛ This search has expired, run `/orders` again.', embeds: [], components: [] });
+    }
+
+    const result = await orderSearch.findOrdersPage(search.filter, parseInt(page, 10) || 1);
+
+    await interaction.update({
+      embeds: [orderSearch.buildOrdersEmbed(result, { summary: search.summary, guildId: interaction.guildId })],
+      components: orderSearch.buildOrdersRows(searchId, result.page, result.totalPages),
+    });
+  } catch (error) {
+    console.error('❌ Error paging orders:', error);
+    await interaction.reply({ content: '❌ Failed to load orders.', ephemeral: true });
+  }
+}
+
+/**
+ * /note add - Add an internal note to any order by number
+ * /note here - Add an internal note to this ticket's order
+ */
+async function handleNote(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  const text = interaction.options.getString('text');
+
+  // Always ephemeral - the customer may be able to see this channel
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    let order;
+    if (subcommand === 'add') {
+      const orderNumber = interaction.options.getString('order-number').trim();
+      order = await Order.findOne({ orderNumber });
+      if (!order) {
+        return interaction.editReply(`❌ Order #${orderNumber} not found.`);
+      }
+    } else {
+      ({ order } = await ticketService.getTicketContext(interaction.channel.id));
+      if (!order) {
+        return interaction.editReply('❌ Use `/note here` in a ticket channel, or `/note add <order-number>` anywhere.');
+      }
+    }
+
+    await noteService.addNote(order, {
+      authorId: interaction.user.id,
+      authorName: interaction.member?.displayName || interaction.user.username,
+      text,
+    });
+
+    await interaction.editReply(`📝 Note added to order #${order.orderNumber}.`);
+  } catch (error) {
+    console.error('❌ Error adding note:', error);
+    await interaction.editReply(`❌ Failed to add note: ${error.message}`);
+  }
+}
+
+/**
+ * /wallet - Customer wallet subcommands
+ */
+async function handleWallet(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  switch (subcommand) {
+    case 'view':
+      await handleWalletView(interaction);
+      break;
+    case 'history':
+      await handleWalletHistory(interaction);
+      break;
+    case 'adjust':
+      await handleWalletAdjust(interaction);
+      break;
+    default:
+      await interaction.reply({
+        content: '❌ Unknown subcommand.',
+        ephemeral: true,
+      });
+  }
+}
+
+/**
+ * Find the customer a /wallet subcommand targets (by linked Discord user or email)
+ * @param {Interaction} interaction - Discord interaction object
+ * @returns {Object} - { user, error }
+ */
+async function resolveWalletUser(interaction) {
+  const discordUser = interaction.options.getUser('user');
+  const email = interaction.options.getString('email')?.trim().toLowerCase();
+
+  if (!discordUser && !email) {
+    return { user: null, error: '❌ Pass either `user` or `email`.' };
+  }
+
+  const user = discordUser
+    ? await User.findOne({ discordId: discordUser.id })
+    : await User.findOne({ email });
+
+  if (!user) {
+    return {
+      user: null,
+      error: discordUser
+        ? `❌ <@${discordUser.id}> has no linked BitePlug account.`
+        : `❌ No account found for ${email}.`,
+    };
+  }
+
+  return { user, error: null };
+}
+
+/**
+ * /wallet view - Show a customer's balance and latest ledger entries
+ */
+async function handleWalletView(interaction) {
+  // Ephemeral - contains customer details
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const { user, error } = await resolveWalletUser(interaction);
+    if (error) {
+      return interaction.editReply(error);
+    }
+
+    const { entries } = await ledgerService.getHistory(user._id, 1);
+
+    await interaction.editReply({ embeds: [walletView.buildWalletEmbed(user, entries.slice(0, 5))] });
+  } catch (error) {
+    console.error('❌ Error viewing wallet:', error);
+    await interaction.editReply('❌ Failed to load wallet.');
+  }
+}
+
+/**
+ * /wallet history - Page through a customer's ledger
+ */
+async function handleWalletHistory(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const { user, error } = await resolveWalletUser(interaction);
+    if (error) {
+      return interaction.editReply(error);
+    }
+
+    const history = await ledgerService.getHistory(user._id, interaction.options.getInteger('page') || 1);
+
+    await interaction.editReply({
+      embeds: [walletView.buildHistoryEmbed(user, history)],
+      components: walletView.buildHistoryRows(user, history.page, history.totalPages),
+    });
+  } catch (error) {
+    console.error('❌ Error loading wallet history:', error);
+    await interaction.editReply('❌ Failed to load wallet history.');
+  }
+}
+
+/**
+ * /wallet adjust - Credit or debit a customer's wallet (Admin only)
+ */
+async function handleWalletAdjust(interaction) {
+  if (!isAdminMember(interaction.member)) {
+    return interaction.reply({
+      content: '❌ Only admins can adjust wallet balances.',
+      ephemeral: true,
+    });
+  }
+
+  const amountCents = Math.round(interaction.options.getNumber('amount') * 100);
+  const reason = interaction.options.getString('reason').trim();
+
+  if (amountCents === 0) {
+    return interaction.reply({ content: '❌ Amount must not be zero.', ephemeral: true });
+  }
+
+  if (!reason) {
+    return interaction.reply({ content: '❌ A reason is required.', ephemeral: true });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const { user, error } = await resolveWalletUser(interaction);
+    if (error) {
+      return interaction.editReply(error);
+    }
+
+    let result;
+    try {
+      result = await ledgerService.applyBalanceChange(user._id, amountCents, {
+        type: 'adjustment',
+        actor: interaction.user.id,
+        reason,
+      });
+    } catch (error) {
+      if (error instanceof ledgerService.BalanceError) {
+        return interaction.editReply(`❌ ${error.message}`);
+      }
+      throw error;
+    }
+
+    await interaction.editReply(
+      `✅ Adjusted wallet of ${user.email} by **${walletView.formatSignedCents(amountCents)}**\n` +
+      `💵 New balance: **${orderDetails.formatCents(result.user.balanceCents)}**\n📝 Reason: ${reason}`
+    );
+
+    console.log(`🛠️ Wallet of ${user.email} adjusted by ${walletView.formatSignedCents(amountCents)} by ${interaction.user.username}: ${reason}`);
+  } catch (error) {
+    console.error('❌ Error adjusting wallet:', error);
+    await interaction.editReply('❌ Failed to adjust wallet. Check logs for details.');
+  }
+}
+
+/**
+ * Show another page of /wallet history (Prev/Next buttons)
+ * @param {Interaction} interaction - Discord button interaction
+ */
+async function handleWalletHistoryButton(interaction) {
+  const [, userId, page] = interaction.customId.split('_');
+
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      return interaction.update({ content: '❌ User not found.', embeds: [], components: [] });
+    }
+
+    const history = await ledgerService.getHistory(user._id, parseInt(page, 10) || 1);
+
+    await interaction.update({
+      embeds: [walletView.buildHistoryEmbed(user, history)],
+      components: walletView.buildHistoryRows(user, history.page, history.totalPages),
+    });
+  } catch (error) {
+    console.error('❌ Error paging wallet history:', error);
+    await interaction.reply({ content: '❌ Failed to load wallet history.', ephemeral: true });
+  }
+}
+
+/**
+ * Parse a YYYY-MM-DD command option into a UTC date
+ * @param {string|null} value - Option value
+ * @returns {Date|null} - Parsed date, null if not provided
+ * @throws {Error} - If the value is not a valid date
+ */
+function parseDateOption(value) {
+  if (!value) return null;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    throw new Error(`Invalid date "${value}" (expected YYYY-MM-DD)`);
+  }
+
+  const date = new Date(`${value.trim()}T00:00:00.000Z`);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}" (expected YYYY-MM-DD)`);
+  }
+
+  return date;
+}
+
+/**
+ * Read the from/to options of a command as a [from, to) date range
+ * `to` is inclusive for the user, so one day is added to it.
+ * @param {Interaction} interaction - Discord interaction object
+ * @param {number} defaultDays - Range length when `from` is not given
+ */
+function getDateRangeOptions(interaction, defaultDays) {
+  const DAY = 24 * 60 * 60 * 1000;
+  const toDate = parseDateOption(interaction.options.getString('to'));
+  const fromDate = parseDateOption(interaction.options.getString('from'));
+
+  const to = toDate ? new Date(toDate.getTime() + DAY) : new Date();
+  const from = fromDate || new Date(to.getTime() - defaultDays * DAY);
+
+  if (from >= to) {
+    throw new Error('`from` must be before `to`');
+  }
+
+  return { from, to };
+}
+
+/**
+ * /sla - List tickets that breached SLA thresholds in a date range
+ */
+async function handleSla(interaction) {
+  let range;
+  try {
+    range = getDateRangeOptions(interaction, 7);
+  } catch (error) {
+    return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+  }
+
+  await interaction.deferReply();
+
+  try {
+    const results = await slaService.getSlaBreaches(range.from, range.to);
+
+    const counts = {};
+    for (const { breaches } of results) {
+      for (const breach of breaches) {
+        counts[breach.stage] = (counts[breach.stage] || 0) + 1;
+      }
+    }
+
+    const summary = Object.keys(slaService.STAGE_LABELS)
+      .map(stage => `**${slaService.STAGE_LABELS[stage]}:** ${counts[stage] || 0}`)
+      .join('\n');
+
+    const lines = results.slice(0, 20).map(({ ticket, breaches }) => {
+      const stages = breaches.map(b => `${slaService.STAGE_LABELS[b.stage]} (${b.thresholdMinutes}m)`).join(', ');
+      const owner = ticket.claimedBy ? ` · <@${ticket.claimedBy}>` : '';
+      return `• **${ticket.orderNumber}** <t:${Math.floor(ticket.createdAt.getTime() / 1000)}:f>${owner}\n  ${stages}`;
+    });
+
+    if (results.length > 20) {
+      lines.push(`... and ${results.length - 20} more tickets`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(results.length > 0 ? 0xFF9500 : 0x57F287)
+      .setTitle('⏰ SLA Breach Report')
+      .setDescription(`${range.from.toISOString().split('T')[0]} → ${new Date(range.to.getTime() - 1).toISOString().split('T')[0]}\n\n${summary}`)
+      .addFields({
+        name: `🎫 Tickets (${results.length})`,
+        value: lines.length > 0 ? lines.join('\n').substring(0, 1024) : 'No SLA breaches in this range 🎉',
+        inline: false,
+      })
+      .setFooter({ text: 'BitePlug Ticket SLA' })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('❌ Error building SLA report:', error);
+    await interaction.editReply('❌ Failed to build SLA report.');
+  }
+}
+
+/**
+ * /reconcile - Compare received, delivered and charged amounts with the ledger, per payment method
+ */
+async function handleReconcile(interaction) {
+  let range;
+  try {
+    range = getDateRangeOptions(interaction, 7);
+  } catch (error) {
+    return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+  }
+
+  // Ephemeral - contains customer order amounts
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const report = await reconciliationService.buildReconciliation(range.from, range.to);
+    const { formatDollars, ANOMALY_LABELS } = reconciliationService;
+
+    const fromLabel = range.from.toISOString().split('T')[0];
+    const toLabel = new Date(range.to.getTime() - 1).toISOString().split('T')[0];
+
+    const methodFields = Object.entries(report.methods)
+      .filter(([, totals]) => totals.orders > 0)
+      .map(([method, totals]) => {
+        const difference = totals.chargedCents - totals.ledgerChargedCents;
+        return {
+          name: `💳 ${method} (${totals.orders} orders)`,
+          value: [
+            `**Verified:** ${formatDollars(totals.verifiedCents)}`,
+            `**Delivered:** ${formatDollars(totals.deliveredCents)}`,
+            `**Charged:** ${formatDollars(totals.chargedCents)}`,
+            `**Ledger charges:** ${formatDollars(totals.ledgerChargedCents)}${difference !== 0 ? ` ⚠️ ${formatDollars(difference)}` : ' ✅'}`,
+            `**Refunded:** ${formatDollars(totals.refundedCents)} (ledger ${formatDollars(totals.ledgerRefundedCents)})`,
+          ].join('\n'),
+          inline: true,
+        };
+      });
+
+    const counts = {};
+    for (const { kind } of report.anomalies) {
+      counts[kind] = (counts[kind] || 0) + 1;
+    }
+
+    const summary = Object.keys(ANOMALY_LABELS)
+      .filter(kind => counts[kind])
+      .map(kind => `**${ANOMALY_LABELS[kind]}:** ${counts[kind]}`);
+
+    const lines = report.anomalies.slice(0, 10).map(({ kind, detail, order }) =>
+      `• **${order.orderNumber}** ${ANOMALY_LABELS[kind]} - ${detail}`
+    );
+    if (report.anomalies.length > 10) {
+      lines.push(`... and ${report.anomalies.length - 10} more (see CSV)`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(report.anomalies.length > 0 ? 0xFF9500 : 0x57F287)
+      .setTitle('🧾 Payment Reconciliation')
+      .setDescription(`${fromLabel} → ${toLabel} · ${report.orderCount} orders`)
+      .addFields(
+        ...(methodFields.length > 0 ? methodFields : [{ name: '💳 Payment Methods', value: 'No orders in this range', inline: false }]),
+        {
+          name: `⚠️ Anomalies (${report.anomalies.length})`,
+          value: report.anomalies.length > 0
+            ? `${summary.join('\n')}\n\n${lines.join('\n')}`.substring(0, 1024)
+            : 'Everything adds up 🎉',
+          inline: false,
+        }
+      )
+      .setFooter({ text: 'Orders by creation date' })
+      .setTimestamp();
+
+    await interaction.editReply({
+      embeds: [embed],
+      files: report.anomalies.length > 0
+        ? [reconciliationService.buildAnomalyAttachment(report, `${fromLabel}_${toLabel}`)]
+        : [],
+    });
+
+    console.log(`🧾 Reconciliation ${fromLabel} → ${toLabel} by ${interaction.user.username}: ${report.orderCount} orders, ${report.anomalies.length} anomalies`);
+  } catch (error) {
+    console.error('❌ Error building reconciliation report:', error);
+    await interaction.editReply('❌ Failed to build reconciliation report.');
+  }
+}
+
+/**
+ * /transcript - Re-render the stored transcript of a ticket
+ */
+async function handleTranscript(interaction) {
+  const orderNumber = interaction.options.getString('order-number').trim();
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const order = await Order.findOne({ orderNumber });
+
+    if (!order) {
+      return interaction.editReply(`❌ Order #${orderNumber} not found.`);
+    }
+
+    const messages = await transcriptService.getTranscriptMessages(order);
+
+    if (messages.length === 0) {
+      return interaction.editReply(`❌ No transcript stored for order #${orderNumber}.`);
+    }
+
+    await interaction.editReply({
+      content: `📜 Transcript for order #${orderNumber} (${messages.length} messages)`,
+      files: transcriptService.buildTranscriptFiles(order, messages),
+    });
+
+    console.log(`📜 Transcript for order #${orderNumber} requested by ${interaction.user.username}`);
+  } catch (error) {
+    console.error('❌ Error rendering transcript:', error);
+    await interaction.editReply('❌ Failed to render transcript.');
+  }
+}
+
 /**
  * /announce - Send announcement (Owner only)
  */
@@ -523,4 +1606,4 @@ async function handleVccUpload(interaction) {
   }
 }
 
-module.exports = { handleSlashCommand };
+module.exports = { handleSlashCommand, handleAutocomplete, handleWalletHistoryButton, handleOrdersPageButton };
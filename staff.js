@@ -0,0 +1,38 @@
+// Staff Role Helpers
+// Staff are members with one of the configured staff roles (or Administrator)
+
+const { PermissionFlagsBits } = require('discord.js');
+
+// Comma-separated list of Discord role IDs that count as staff
+const STAFF_ROLE_IDS = (process.env.STAFF_ROLE_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(id => id.length > 0);
+
+/**
+ * Whether a guild member is an admin
+ * @param {Object|null} member - Discord guild member
+ */
+function isAdminMember(member) {
+  return Boolean(member && member.permissions && member.permissions.has(PermissionFlagsBits.Administrator));
+}
+
+/**
+ * Whether a guild member is staff
+ * @param {Object|null} member - Discord guild member
+ */
+function isStaffMember(member) {
+  if (!member) return false;
+
+  if (isAdminMember(member)) {
+    return true;
+  }
+
+  return STAFF_ROLE_IDS.some(roleId => member.roles?.cache?.has(roleId));
+}
+
+module.exports = {
+  STAFF_ROLE_IDS,
+  isAdminMember,
+  isStaffMember
+};
@@ -0,0 +1,373 @@
+// Ticket Message Components
+// Builds the order embed and the button rows shown on it for each ticket state
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+
+/**
+ * Format an order's payment for the ticket embed
+ * @param {Object} order - Order document
+ */
+function formatPaymentInfo(order) {
+  const amount = `$${(order.chargeCents / 100).toFixed(2)}`;
+
+  if (order.paymentMethod === 'venmo') {
+    return `💳 **Venmo** - ${amount}`;
+  } else if (order.paymentMethod === 'zelle') {
+    return `🏦 **Zelle** - ${amount}`;
+  } else if (order.paymentMethod === 'crypto') {
+    return `🔐 **Cryptocurrency** - ${amount}`;
+  }
+  return amount;
+}
+
+/**
+ * The order embed posted at the top of a ticket
+ * @param {Object} order - Order document
+ * @param {string} userName - Customer display name
+ * @param {Object} options - { title, description }
+ */
+function buildTicketEmbed(order, userName, {
+  title = `🎫 New Order: ${order.orderNumber}`,
+  description = 'Payment verified and ready for processing'
+} = {}) {
+  return {
+    color: 0x5865F2,
+    title,
+    description,
+    fields: [
+      { name: '👤 Customer', value: userName, inline: true },
+      { name: '💰 Payment', value: formatPaymentInfo(order), inline: true },
+      { name: '📍 Delivery Address', value: order.deliveryAddress || 'Not provided', inline: false },
+      { name: '🍔 Items', value: order.itemsDescription || 'See group order link', inline: false },
+      { name: '🔗 Group Order Link', value: order.groupOrderLink || 'Not provided', inline: false }
+    ],
+    footer: { text: 'Click Claim to start processing this order' },
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Button that shows the order's internal notes (ephemeral, staff only)
+ * @param {string} orderNumber - Order number
+ */
+function buildNotesButton(orderNumber) {
+  return new ButtonBuilder()
+    .setCustomId(`notes_${orderNumber}`)
+    .setLabel('📝 Notes')
+    .setStyle(ButtonStyle.Secondary);
+}
+
+/**
+ * Button that puts the order back in the automation queue
+ * @param {string} orderNumber - Order number
+ */
+function buildRetryButton(orderNumber) {
+  return new ButtonBuilder()
+    .setCustomId(`requeue_${orderNumber}`)
+    .setLabel('🔁 Retry Automation')
+    .setStyle(ButtonStyle.Secondary);
+}
+
+/**
+ * Rows for an unclaimed ticket
+ * @param {string} orderNumber - Order number
+ * @param {Object} options - { retry } (false hides Retry Automation, e.g. while a duplicate decision is pending)
+ */
+function buildOpenTicketRows(orderNumber, { retry = true } = {}) {
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`claim_${orderNumber}`)
+        .setLabel('🎫 Claim Ticket')
+        .setStyle(ButtonStyle.Primary),
+      buildNotesButton(orderNumber),
+      new ButtonBuilder()
+        .setCustomId(`cancel_${orderNumber}`)
+        .setLabel('🚫 Cancel Order')
+        .setStyle(ButtonStyle.Danger)
+    );
+
+  if (retry) {
+    row.addComponents(buildRetryButton(orderNumber));
+  }
+
+  return [row];
+}
+
+/**
+ * Rows for a claimed ticket
+ * @param {string} orderNumber - Order number
+ * @param {string} claimerName - Display name of the staff member who owns the ticket
+ * @param {Object} options - { retry } (false hides Retry Automation)
+ */
+function buildClaimedTicketRows(orderNumber, claimerName, { retry = true } = {}) {
+  const claimRow = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`claim_${orderNumber}`)
+        .setLabel(`🎫 Claimed by ${claimerName}`)
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(true),
+      new ButtonBuilder()
+        .setCustomId(`unclaim_${orderNumber}`)
+        .setLabel('↩️ Unclaim')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`transfer_${orderNumber}`)
+        .setLabel('🔁 Transfer')
+        .setStyle(ButtonStyle.Secondary),
+      buildNotesButton(orderNumber)
+    );
+
+  const closeRow = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`close_success_${orderNumber}`)
+        .setLabel('✅ Success')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`close_fail_${orderNumber}`)
+        .setLabel('❌ Fail')
+        .setStyle(ButtonStyle.Danger)
+    );
+
+  if (retry) {
+    closeRow.addComponents(buildRetryButton(orderNumber));
+  }
+
+  return [claimRow, closeRow];
+}
+
+/**
+ * Rows for a ticket whose order was marked success or fail
+ * @param {string} orderNumber - Order number
+ * @param {string} statusText - Outcome label (e.g. SUCCESS, FAILED)
+ * @param {Object} options - { refundable } to show the Refund button (delivered orders)
+ */
+function buildCompletedTicketRows(orderNumber, statusText, { refundable = false } = {}) {
+  const disabledClaimRow = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`claim_${orderNumber}`)
+        .setLabel(`🎫 ${statusText}`)
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(true)
+    );
+
+  const disabledCloseRow = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`close_success_${orderNumber}`)
+        .setLabel('✅ Success')
+        .setStyle(ButtonStyle.Success)
+        .setDisabled(true),
+      new ButtonBuilder()
+        .setCustomId(`close_fail_${orderNumber}`)
+        .setLabel('❌ Fail')
+        .setStyle(ButtonStyle.Danger)
+        .setDisabled(true)
+    );
+
+  const closeTicketRow = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`closeticket_ticket_${orderNumber}`)
+        .setLabel('🗑️ Close Ticket')
+        .setStyle(ButtonStyle.Danger),
+      buildNotesButton(orderNumber)
+    );
+
+  if (refundable) {
+    closeTicketRow.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`refund_${orderNumber}`)
+        .setLabel('↩️ Refund')
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+
+  return [disabledClaimRow, disabledCloseRow, closeTicketRow];
+}
+
+/**
+ * Modal asking for the amount and reason of a refund
+ * @param {string} orderNumber - Order number
+ * @param {number} refundableCents - Amount still refundable (prefilled)
+ */
+function buildRefundModal(orderNumber, refundableCents) {
+  return new ModalBuilder()
+    .setCustomId(`refundmodal_${orderNumber}`)
+    .setTitle(`Refund order ${orderNumber}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('amount')
+          .setLabel(`Amount in dollars (max ${(refundableCents / 100).toFixed(2)})`)
+          .setStyle(TextInputStyle.Short)
+          .setValue((refundableCents / 100).toFixed(2))
+          .setRequired(true)
+          .setMaxLength(10)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('reason')
+          .setLabel('Reason (shown to the customer)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setMaxLength(500)
+      )
+    );
+}
+
+/**
+ * Find the ticket message that carries the buttons for an order
+ * Uses the stored intro message; tickets opened before it was stored fall back to the newest message
+ * whose first button is exactly this order's Claim button (every control row set starts with it).
+ * @param {Object} channel - Discord ticket channel
+ * @param {Object} ticket - Ticket document ({ orderNumber, controlMessageId })
+ * @returns {Object|null} - Discord message or null
+ */
+async function findTicketControlMessage(channel, ticket) {
+  if (ticket.controlMessageId) {
+    return channel.messages.fetch(ticket.controlMessageId).catch(() => null);
+  }
+
+  const claimId = `claim_${ticket.orderNumber}`;
+  const messages = await channel.messages.fetch({ limit: 50 });
+
+  for (const msg of messages.values()) {
+    if (msg.author.id === channel.client.user.id && msg.components[0]?.components[0]?.customId === claimId) {
+      return msg;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace the buttons on a ticket's control message
+ * @param {Object} channel - Discord ticket channel
+ * @param {Object} ticket - Ticket document
+ * @param {Object[]} rows - Action rows to show
+ */
+async function updateTicketControls(channel, ticket, rows) {
+  const msg = await findTicketControlMessage(channel, ticket);
+  if (!msg) {
+    console.warn(`⚠️ Ticket control message for order ${ticket.orderNumber} not found`);
+    return null;
+  }
+
+  return msg.edit({ components: rows });
+}
+
+/**
+ * Ephemeral choice shown by the Retry Automation button
+ * @param {string} orderNumber - Order number
+ */
+function buildRetryChoiceRows(orderNumber) {
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`requeueconfirm_keep_${orderNumber}`)
+        .setLabel('🔁 Retry')
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(`requeueconfirm_reset_${orderNumber}`)
+        .setLabel('🔁 Retry & Reset Attempts')
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+  return [row];
+}
+
+/**
+ * Modal asking for the Uber Eats tracking link (and optional ETA/notes) before an order is marked successful
+ * @param {string} orderNumber - Order number
+ * @param {string|null} uberLink - Link already on the order (prefilled)
+ */
+function buildSuccessModal(orderNumber, uberLink = null) {
+  const linkInput = new TextInputBuilder()
+    .setCustomId('uberlink')
+    .setLabel('Uber Eats tracking link')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('https://www.ubereats.com/orders/...')
+    .setRequired(true)
+    .setMaxLength(500);
+
+  if (uberLink) {
+    linkInput.setValue(uberLink);
+  }
+
+  return new ModalBuilder()
+    .setCustomId(`successmodal_${orderNumber}`)
+    .setTitle(`Complete order ${orderNumber}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(linkInput),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('note')
+          .setLabel('ETA / notes for the customer (optional)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false)
+          .setMaxLength(500)
+      )
+    );
+}
+
+/**
+ * Modal asking for the reason an order is cancelled
+ * @param {string} orderNumber - Order number
+ * @param {string} prefix - Custom ID prefix, tells the submit handler where the modal was opened
+ */
+function buildCancelModal(orderNumber, prefix = 'cancelmodal') {
+  return new ModalBuilder()
+    .setCustomId(`${prefix}_${orderNumber}`)
+    .setTitle(`Cancel order ${orderNumber}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('reason')
+          .setLabel('Reason (shown to the customer)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setMaxLength(500)
+      )
+    );
+}
+
+/**
+ * Copy of a message's button rows with every button disabled
+ * @param {Object} message - Discord message
+ * @returns {Object[]} - Action rows
+ */
+function disableMessageComponents(message) {
+  return message.components.map(row => {
+    const builder = ActionRowBuilder.from(row);
+    builder.components.forEach(component => component.setDisabled(true));
+    return builder;
+  });
+}
+
+module.exports = {
+  formatPaymentInfo,
+  buildTicketEmbed,
+  buildNotesButton,
+  buildRetryButton,
+  buildRetryChoiceRows,
+  buildOpenTicketRows,
+  buildClaimedTicketRows,
+  buildCompletedTicketRows,
+  buildSuccessModal,
+  buildRefundModal,
+  buildCancelModal,
+  disableMessageComponents,
+  findTicketControlMessage,
+  updateTicketControls
+};
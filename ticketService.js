@@ -0,0 +1,802 @@
+// Ticket Management Service
+// Single source of truth for ticket identity, claims and closing.
+// Tickets are resolved by Discord channel ID, so renaming a channel never breaks them.
+
+const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const { Ticket, Order, User } = require('./models');
+const transcriptService = require('./transcriptService');
+const orderLifecycle = require('./orderLifecycle');
+const orderQueue = require('./orderQueue');
+const ticketComponents = require('./ticketComponents');
+const { STAFF_ROLE_IDS, isAdminMember, isStaffMember } = require('./staff');
+
+const TICKET_GUILD_ID = process.env.GUILD_ID; // Discord server ID
+const TICKET_CATEGORY_ID = process.env.CATEGORY_ID; // Category for order tickets
+
+// Where a closed order goes when its ticket is reopened (each move is also checked by
+// orderLifecycle). A charged order never goes back to a state where it could be charged again.
+const REOPEN_TRANSITIONS = {
+  delivered: 'order_placed',
+  failed: 'processing',
+  automation_failed: 'processing'
+};
+
+const TICKET_CLOSE_MODE = process.env.TICKET_CLOSE_MODE === 'delete' ? 'delete' : 'archive'; // 'archive' (default) or 'delete'
+const ARCHIVE_CATEGORY_ID = process.env.ARCHIVE_CATEGORY_ID; // Category closed tickets are moved to
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS || '30', 10);
+const ARCHIVE_CLEANUP_INTERVAL = 60 * 60 * 1000; // Check every hour
+
+const DISCORD_INVITE_URL = process.env.DISCORD_INVITE_URL; // Invite link sent to customers not in the server
+const ACCOUNT_LINK_URL = process.env.ACCOUNT_LINK_URL; // Web page where customers link their Discord account
+
+const CUSTOMER_PERMISSIONS = [
+  PermissionFlagsBits.ViewChannel,
+  PermissionFlagsBits.SendMessages,
+  PermissionFlagsBits.ReadMessageHistory,
+  PermissionFlagsBits.AttachFiles
+];
+
+const STAFF_PERMISSIONS = [
+  PermissionFlagsBits.ViewChannel,
+  PermissionFlagsBits.SendMessages,
+  PermissionFlagsBits.ReadMessageHistory,
+  PermissionFlagsBits.AttachFiles,
+  PermissionFlagsBits.ManageMessages
+];
+
+/**
+ * Get the customer's guild member if their Discord account is linked and they are in the server
+ * @param {Object} guild - Discord guild
+ * @param {Object|null} user - User document
+ * @returns {Object|null} - Guild member or null
+ */
+async function getCustomerMember(guild, user) {
+  if (!user || !user.discordId) return null;
+
+  try {
+    return await guild.members.fetch(user.discordId);
+  } catch (error) {
+    // Unknown Member - linked but not in the server
+    return null;
+  }
+}
+
+/**
+ * Build the permission overwrites for a ticket channel
+ * Hidden from @everyone, visible to the bot, staff roles and (if present) the customer.
+ * @param {Object} guild - Discord guild
+ * @param {string} botUserId - Discord user ID of the bot
+ * @param {Object|null} customerMember - Customer's guild member
+ */
+function buildTicketPermissionOverwrites(guild, botUserId, customerMember = null) {
+  const overwrites = [
+    {
+      id: guild.id,
+      deny: [PermissionFlagsBits.ViewChannel]
+    },
+    {
+      id: botUserId,
+      allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory]
+    }
+  ];
+
+  for (const roleId of STAFF_ROLE_IDS) {
+    overwrites.push({ id: roleId, allow: STAFF_PERMISSIONS });
+  }
+
+  if (customerMember) {
+    overwrites.push({ id: customerMember.id, allow: CUSTOMER_PERMISSIONS });
+  }
+
+  return overwrites;
+}
+
+/**
+ * DM a customer who can't see their ticket with a prompt to join the server
+ * @param {Object} client - Discord client
+ * @param {Object|null} user - User document
+ * @param {Object} order - Order document
+ * @returns {boolean} - Whether the DM was delivered
+ */
+async function sendCustomerAccessPrompt(client, user, order) {
+  if (!user || !user.discordId) {
+    console.log(`ℹ️ Customer for order ${order.orderNumber} has no linked Discord account${ACCOUNT_LINK_URL ? ` (link at ${ACCOUNT_LINK_URL})` : ''}`);
+    return false;
+  }
+
+  const lines = [
+    `🎫 Your BitePlug order **${order.orderNumber}** has a support ticket, but you're not in our Discord server yet.`
+  ];
+  if (DISCORD_INVITE_URL) {
+    lines.push(`👉 Join here to chat with staff about your order: ${DISCORD_INVITE_URL}`);
+  }
+  if (ACCOUNT_LINK_URL) {
+    lines.push(`🔗 Make sure this Discord account is linked to your BitePlug account: ${ACCOUNT_LINK_URL}`);
+  }
+
+  try {
+    const discordUser = await client.users.fetch(user.discordId);
+    await discordUser.send(lines.join('\n'));
+    console.log(`📨 Sent ticket access prompt for order ${order.orderNumber} to ${user.discordId}`);
+    return true;
+  } catch (error) {
+    // DMs closed or no mutual server
+    console.log(`⚠️ Could not DM customer ${user.discordId} for order ${order.orderNumber}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Create the ticket record for a freshly created ticket channel
+ * @param {Object} order - Order document the ticket belongs to
+ * @param {Object} channel - Discord channel created for the ticket
+ */
+async function createTicket(order, channel) {
+  try {
+    const ticket = await Ticket.create({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      channelId: channel.id,
+      guildId: channel.guild.id
+    });
+
+    console.log(`✓ Created ticket record for order ${order.orderNumber} (channel ${channel.id})`);
+    return ticket;
+  } catch (error) {
+    console.error('Error creating ticket record:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a customer's display name for ticket embeds
+ * @param {Object|null} user - User document
+ */
+function getCustomerName(user) {
+  return user ? (user.name || user.email || 'Unknown') : 'Unknown';
+}
+
+/**
+ * Button options for an order's ticket controls
+ * Retry Automation is hidden while the order awaits a duplicate decision (requeueing it is refused anyway).
+ * @param {Object|null} order - Order document
+ * @returns {Object} - { retry }
+ */
+function getControlOptions(order) {
+  return { retry: !orderQueue.isAwaitingDuplicateDecision(order) };
+}
+
+/**
+ * Post the order embed with its buttons and tell the channel whether the customer can see it
+ * The embed's message id is stored on the ticket so later button changes edit that message.
+ * @param {Object} channel - Discord ticket channel
+ * @param {Object} ticket - Ticket document
+ * @param {Object} order - Order document
+ * @param {Object|null} user - User document
+ * @param {Object|null} customerMember - Customer's guild member
+ * @param {Object} options - { content, title, description, retry } (retry defaults to getControlOptions)
+ */
+async function postTicketIntro(channel, ticket, order, user, customerMember, { content, title, description, retry } = {}) {
+  const controls = retry === undefined ? getControlOptions(order) : { retry };
+
+  const controlMessage = await channel.send({
+    content,
+    embeds: [ticketComponents.buildTicketEmbed(order, getCustomerName(user), { title, description })],
+    components: ticketComponents.buildOpenTicketRows(order.orderNumber, controls)
+  });
+
+  ticket.controlMessageId = controlMessage.id;
+  await Ticket.updateOne({ _id: ticket._id }, { $set: { controlMessageId: controlMessage.id } });
+
+  if (customerMember) {
+    await channel.send(`👋 <@${customerMember.id}>, this is your order ticket. Staff will be with you shortly!`);
+  } else {
+    await channel.send('ℹ️ Customer is not in the server (or has no linked Discord account) and cannot see this ticket.');
+  }
+}
+
+/**
+ * Create a ticket channel for an order, record the ticket and post the order embed
+ * @param {Object} client - Discord client
+ * @param {Object} order - Order document
+ * @param {Object} options - { content, title, description, retry } for the intro message
+ * @returns {Object} - { channel, ticket }
+ * @throws {Error} - If the guild or ticket category can't be found
+ */
+async function openTicketChannel(client, order, { content = '@here New order ready for processing!', title, description, retry } = {}) {
+  // Fetch guild and category
+  const guild = await client.guilds.fetch(TICKET_GUILD_ID);
+  if (!guild) {
+    throw new Error(`Guild ${TICKET_GUILD_ID} not found`);
+  }
+
+  const category = guild.channels.cache.get(TICKET_CATEGORY_ID);
+  if (!category) {
+    throw new Error(`Category ${TICKET_CATEGORY_ID} not found`);
+  }
+
+  // Give the customer access if their Discord account is linked and they're in the server
+  const user = await User.findById(order.userId);
+  const customerMember = await getCustomerMember(guild, user);
+
+  // Create ticket channel
+  const channelName = `order-${order.orderNumber}`;
+  const channel = await guild.channels.create({
+    name: channelName,
+    type: ChannelType.GuildText,
+    parent: TICKET_CATEGORY_ID,
+    permissionOverwrites: buildTicketPermissionOverwrites(guild, client.user.id, customerMember)
+  });
+
+  console.log(`✅ Created ticket channel #${channelName} (${channel.id})`);
+
+  const ticket = await createTicket(order, channel);
+
+  if (!customerMember) {
+    await sendCustomerAccessPrompt(client, user, order);
+  }
+
+  await postTicketIntro(channel, ticket, order, user, customerMember, { content, title, description, retry });
+
+  return { channel, ticket };
+}
+
+/**
+ * Move an archived ticket channel back to the ticket category and restore access
+ * @param {Object} channel - Archived Discord ticket channel
+ * @param {Object} order - Order document
+ */
+async function unarchiveTicketChannel(channel, order) {
+  const user = await User.findById(order.userId);
+  const customerMember = await getCustomerMember(channel.guild, user);
+
+  await channel.setParent(TICKET_CATEGORY_ID, { lockPermissions: false });
+  await channel.permissionOverwrites.set(buildTicketPermissionOverwrites(channel.guild, channel.client.user.id, customerMember));
+  await channel.setTopic(`Order ${order.orderNumber} · Reopened ${new Date().toISOString().split('T')[0]}`);
+
+  return { user, customerMember };
+}
+
+/**
+ * Reopen the ticket of a closed order
+ * Un-archives the old channel when it still exists, otherwise creates a new one, and reposts
+ * the order embed. The reason and previous outcome are recorded in the order history.
+ * @param {Object} client - Discord client
+ * @param {Object} order - Order document
+ * @param {Object} options - { actorId, reason }
+ * @returns {Object} - { channel, error } (error is a user-facing message)
+ */
+async function reopenTicket(client, order, { actorId, reason }) {
+  const previousStatus = order.status;
+  const nextStatus = REOPEN_TRANSITIONS[previousStatus];
+
+  if (!nextStatus) {
+    return {
+      channel: null,
+      error: `❌ Order #${order.orderNumber} is \`${previousStatus}\` and can't be reopened (allowed from: ${Object.keys(REOPEN_TRANSITIONS).join(', ')}).`
+    };
+  }
+
+  try {
+    orderLifecycle.assertTransition(order, nextStatus);
+  } catch (error) {
+    return { channel: null, error: `❌ ${error.message}` };
+  }
+
+  const lastTicket = await Ticket.findOne({ orderId: order._id }).sort({ createdAt: -1 });
+  if (lastTicket && lastTicket.state !== 'closed') {
+    return { channel: null, error: `❌ Order #${order.orderNumber} already has an open ticket: <#${lastTicket.channelId}>` };
+  }
+
+  const intro = {
+    content: `@here Ticket reopened by <@${actorId}>`,
+    title: `🔄 Reopened Order: ${order.orderNumber}`,
+    description: `**Reason:** ${reason}\n**Previous outcome:** ${previousStatus}${order.charged ? ' (already charged)' : ''}`
+  };
+
+  let channel = null;
+  let ticket = lastTicket;
+
+  if (lastTicket && !lastTicket.channelDeletedAt) {
+    channel = await client.channels.fetch(lastTicket.channelId).catch(() => null);
+  }
+
+  // The order moves first, so a refused or concurrent transition leaves the closed channel untouched
+  try {
+    await orderLifecycle.transitionOrder(order, nextStatus, {
+      actor: actorId,
+      source: 'reopen',
+      reason: `Reopened (previous outcome: ${previousStatus}): ${reason}`,
+      set: { completedAt: null, ...(channel ? { discordChannelId: channel.id } : {}) }
+    });
+  } catch (error) {
+    if (error instanceof orderLifecycle.InvalidTransitionError) {
+      return { channel: null, error: `❌ ${error.message}` };
+    }
+    throw error;
+  }
+
+  if (channel) {
+    const { user, customerMember } = await unarchiveTicketChannel(channel, order);
+
+    ticket.state = 'open';
+    ticket.openedAt = new Date();
+    // The unclaimed stages start over; claimed_overdue breaches belong to their (past) claims
+    ticket.slaBreaches = ticket.slaBreaches.filter(breach => breach.stage === 'claimed_overdue');
+    ticket.claimedBy = null;
+    ticket.claimedAt = null;
+    ticket.closedAt = null;
+    ticket.closedBy = null;
+    ticket.closeReason = null;
+    ticket.archivedAt = null;
+    await ticket.save();
+
+    await postTicketIntro(channel, ticket, order, user, customerMember, intro);
+  } else {
+    ({ channel, ticket } = await openTicketChannel(client, order, intro));
+    await Order.updateOne({ _id: order._id }, { $set: { discordChannelId: channel.id, updatedAt: new Date() } });
+  }
+
+  console.log(`🔄 Reopened ticket for order ${order.orderNumber} (${previousStatus} -> ${nextStatus}) by ${actorId}`);
+  return { channel, error: null };
+}
+
+/**
+ * Create the missing ticket record of a channel opened before tickets were stored
+ * The order is found by its discordChannelId; the upsert keeps two callers from creating it twice.
+ * @param {string} channelId - Discord channel ID
+ * @returns {Object|null} - Ticket document or null if no order uses the channel
+ */
+async function backfillTicket(channelId) {
+  const order = await Order.findOne({ discordChannelId: channelId });
+  if (!order) return null;
+
+  const settled = ['delivered', 'failed', 'cancelled'].includes(order.status);
+  const ticket = await Ticket.findOneAndUpdate(
+    { channelId },
+    {
+      $setOnInsert: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        channelId,
+        guildId: TICKET_GUILD_ID,
+        state: settled ? 'completed' : 'open',
+        openedAt: order.paymentVerifiedAt || order.createdAt,
+        createdAt: order.paymentVerifiedAt || order.createdAt
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  console.log(`✓ Backfilled ticket record for order ${order.orderNumber} (channel ${channelId})`);
+  return ticket;
+}
+
+/**
+ * Get the ticket that lives in a Discord channel
+ * @param {string} channelId - Discord channel ID
+ * @returns {Object|null} - Ticket document or null if the channel is not a ticket
+ */
+async function getTicketByChannel(channelId) {
+  const ticket = await Ticket.findOne({ channelId });
+  return ticket || backfillTicket(channelId);
+}
+
+/**
+ * Resolve the ticket and its order from a Discord channel
+ * @param {string} channelId - Discord channel ID
+ * @returns {Object} - { ticket, order } (both null if the channel is not a ticket)
+ */
+async function getTicketContext(channelId) {
+  const ticket = await getTicketByChannel(channelId);
+  if (!ticket) {
+    return { ticket: null, order: null };
+  }
+
+  const order = await Order.findById(ticket.orderId);
+  return { ticket, order };
+}
+
+/**
+ * Find the latest ticket of an order that is not closed yet
+ * @param {Object} orderId - Order ObjectId
+ * @returns {Object|null} - Ticket document or null
+ */
+async function getOpenTicketForOrder(orderId) {
+  return Ticket.findOne({ orderId, state: { $ne: 'closed' } }).sort({ createdAt: -1 });
+}
+
+/**
+ * Claim a ticket for a staff member
+ * Only succeeds while the ticket is still open, so two staff can't claim the same ticket.
+ * @param {Object} ticket - Ticket document
+ * @param {string} userId - Discord user ID of the claimer
+ * @returns {Object|null} - Updated ticket, or null if it was already claimed
+ */
+async function claimTicket(ticket, userId) {
+  const claimed = await Ticket.findOneAndUpdate(
+    { _id: ticket._id, state: 'open' },
+    {
+      state: 'claimed',
+      claimedBy: userId,
+      claimedAt: new Date(),
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (claimed) {
+    console.log(`✓ Ticket for order ${ticket.orderNumber} claimed by ${userId}`);
+  }
+
+  return claimed;
+}
+
+/**
+ * Release a claimed ticket so anyone can claim it again
+ * @param {Object} ticket - Ticket document
+ * @returns {Object|null} - Updated ticket, or null if it wasn't claimed
+ */
+async function unclaimTicket(ticket) {
+  return Ticket.findOneAndUpdate(
+    { _id: ticket._id, state: 'claimed' },
+    {
+      state: 'open',
+      claimedBy: null,
+      claimedAt: null,
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Give a ticket to another staff member (claims it for them if it was unclaimed)
+ * @param {Object} ticket - Ticket document
+ * @param {string} userId - Discord user ID of the new owner
+ * @returns {Object|null} - Updated ticket, or null if the ticket is already completed or closed
+ */
+async function transferTicket(ticket, userId) {
+  return Ticket.findOneAndUpdate(
+    { _id: ticket._id, state: { $in: ['open', 'claimed'] } },
+    {
+      state: 'claimed',
+      claimedBy: userId,
+      claimedAt: new Date(),
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Whether a member may act on a claimed ticket (the claimer or an admin)
+ * @param {Object} ticket - Ticket document
+ * @param {Object} member - Discord guild member
+ */
+function canManageClaim(ticket, member) {
+  return isAdminMember(member) || (ticket.claimedBy !== null && ticket.claimedBy === member.id);
+}
+
+/**
+ * User-facing refusal for a member who may not act on a ticket's claim
+ * @param {Object} ticket - Ticket document
+ * @param {string} action - What was refused (e.g. 'unclaim this ticket')
+ */
+function buildClaimRefusal(ticket, action) {
+  return ticket.claimedBy
+    ? `❌ Only <@${ticket.claimedBy}> (the claimer) or an admin can ${action}.`
+    : `❌ This ticket must be claimed first. Only the claimer or an admin can ${action}.`;
+}
+
+/**
+ * Release a ticket's claim, reset its buttons and announce it in the channel
+ * @param {Object} channel - Discord ticket channel
+ * @param {Object} ticket - Ticket document
+ * @param {Object} options - { actorId }
+ * @returns {Object|null} - Updated ticket, or null if it wasn't claimed
+ */
+async function releaseTicket(channel, ticket, { actorId }) {
+  const previousOwner = ticket.claimedBy;
+  const updated = await unclaimTicket(ticket);
+  if (!updated) return null;
+
+  const order = await Order.findById(ticket.orderId).select('duplicateCheck');
+  await ticketComponents.updateTicketControls(
+    channel,
+    ticket,
+    ticketComponents.buildOpenTicketRows(ticket.orderNumber, getControlOptions(order))
+  );
+
+  const by = actorId === previousOwner ? '' : ` by <@${actorId}>`;
+  await channel.send(`↩️ <@${previousOwner}> is no longer handling this ticket${by}. It can be claimed again.`);
+
+  console.log(`↩️ Ticket for order ${ticket.orderNumber} unclaimed (was ${previousOwner}, by ${actorId})`);
+  return updated;
+}
+
+/**
+ * Claim an order's ticket for a staff member taking the order over by hand
+ * Opens a ticket channel first if the order has none (e.g. it never reached payment_verified).
+ * @param {Object} client - Discord client
+ * @param {Object} order - Order document
+ * @param {Object} member - Discord guild member taking the order
+ * @returns {Object} - { channel, ticket, error } (error is a user-facing message)
+ */
+async function takeOrderTicket(client, order, member) {
+  let ticket = await getOpenTicketForOrder(order._id);
+  let channel = ticket ? await client.channels.fetch(ticket.channelId).catch(() => null) : null;
+
+  if (!channel) {
+    ({ channel, ticket } = await openTicketChannel(client, order, {
+      content: '🛠️ Order taken over for manual handling',
+      title: `🛠️ Manual Handling: ${order.orderNumber}`,
+      description: `Taken over by staff while \`${order.status}\``
+    }));
+    await Order.updateOne({ _id: order._id }, { $set: { discordChannelId: channel.id, updatedAt: new Date() } });
+  }
+
+  if (ticket.state === 'claimed' && ticket.claimedBy === member.id) {
+    return { channel, ticket, error: null };
+  }
+
+  const claimed = await claimTicket(ticket, member.id);
+  if (!claimed) {
+    return {
+      channel,
+      ticket,
+      error: ticket.claimedBy
+        ? `❌ <#${channel.id}> is already claimed by <@${ticket.claimedBy}>.`
+        : `❌ <#${channel.id}> can no longer be claimed.`
+    };
+  }
+
+  await ticketComponents.updateTicketControls(
+    channel,
+    claimed,
+    ticketComponents.buildClaimedTicketRows(order.orderNumber, member.user.username, getControlOptions(order))
+  );
+  await channel.send(`🙋 <@${member.id}> took this order over for manual handling.`);
+
+  console.log(`🙋 Order ${order.orderNumber} taken over manually by ${member.id}`);
+  return { channel, ticket: claimed, error: null };
+}
+
+/**
+ * Hand a ticket to another staff member, update its buttons and announce it in the channel
+ * @param {Object} channel - Discord ticket channel
+ * @param {Object} ticket - Ticket document
+ * @param {Object} options - { actorId, toMember }
+ * @returns {Object} - { ticket, error } (error is a user-facing message)
+ */
+async function reassignTicket(channel, ticket, { actorId, toMember }) {
+  if (toMember.user.bot || !isStaffMember(toMember)) {
+    return { ticket: null, error: `❌ <@${toMember.id}> is not a staff member.` };
+  }
+
+  if (ticket.claimedBy === toMember.id) {
+    return { ticket: null, error: `❌ <@${toMember.id}> already owns this ticket.` };
+  }
+
+  const previousOwner = ticket.claimedBy;
+  const updated = await transferTicket(ticket, toMember.id);
+  if (!updated) {
+    return { ticket: null, error: '❌ This ticket is already completed and can no longer be transferred.' };
+  }
+
+  const order = await Order.findById(ticket.orderId).select('duplicateCheck');
+  await ticketComponents.updateTicketControls(
+    channel,
+    ticket,
+    ticketComponents.buildClaimedTicketRows(ticket.orderNumber, toMember.user.username, getControlOptions(order))
+  );
+
+  await channel.send(previousOwner
+    ? `🔁 Ticket transferred from <@${previousOwner}> to <@${toMember.id}> by <@${actorId}>.`
+    : `🎫 Ticket assigned to <@${toMember.id}> by <@${actorId}>.`);
+
+  console.log(`🔁 Ticket for order ${ticket.orderNumber} transferred from ${previousOwner || 'nobody'} to ${toMember.id} by ${actorId}`);
+  return { ticket: updated, error: null };
+}
+
+/**
+ * Mark a ticket as completed (order marked success or fail, channel still open)
+ * @param {Object} ticket - Ticket document
+ */
+async function completeTicket(ticket) {
+  ticket.state = 'completed';
+  await ticket.save();
+  return ticket;
+}
+
+/**
+ * Record that a ticket was closed
+ * @param {Object} ticket - Ticket document
+ * @param {Object} options - { closedBy, reason }
+ */
+async function closeTicket(ticket, { closedBy = null, reason = null } = {}) {
+  ticket.state = 'closed';
+  ticket.closedAt = new Date();
+  ticket.closedBy = closedBy;
+  ticket.closeReason = reason;
+  await ticket.save();
+
+  console.log(`🔒 Ticket for order ${ticket.orderNumber} closed by ${closedBy || 'system'}${reason ? ` (${reason})` : ''}`);
+  return ticket;
+}
+
+/**
+ * Whether an order is finished and its ticket can be closed without a warning
+ * @param {Object|null} order - Order document
+ */
+function isOrderSettled(order) {
+  return !order || order.charged || ['delivered', 'failed', 'cancelled'].includes(order.status);
+}
+
+/**
+ * How a ticket will be closed
+ * @param {boolean} hardDelete - Whether an admin asked to delete instead of archive
+ * @returns {string} - 'archive' or 'delete'
+ */
+function getCloseMode(hardDelete = false) {
+  return hardDelete ? 'delete' : TICKET_CLOSE_MODE;
+}
+
+/**
+ * Move a closed ticket channel to the archive category and make it read-only
+ * The order number and outcome go into the topic so archived channels stay searchable.
+ * @param {Object} channel - Discord ticket channel
+ * @param {Object} ticket - Ticket document
+ * @param {Object|null} order - Order document
+ */
+async function archiveTicketChannel(channel, ticket, order) {
+  if (ARCHIVE_CATEGORY_ID) {
+    await channel.setParent(ARCHIVE_CATEGORY_ID, { lockPermissions: false });
+  } else {
+    console.warn(`⚠️ ARCHIVE_CATEGORY_ID not set, archiving ticket for order ${ticket.orderNumber} in place`);
+  }
+
+  // Strip send permissions from everyone who had them (except the bot)
+  for (const overwrite of channel.permissionOverwrites.cache.values()) {
+    if (overwrite.id === channel.client.user.id || overwrite.id === channel.guild.id) continue;
+    await channel.permissionOverwrites.edit(overwrite.id, {
+      SendMessages: false,
+      AddReactions: false
+    });
+  }
+
+  const outcome = order ? order.status : 'unknown';
+  await channel.setTopic(`Order ${ticket.orderNumber} · Outcome: ${outcome} · Closed ${new Date().toISOString().split('T')[0]}`);
+
+  ticket.archivedAt = new Date();
+  await ticket.save();
+
+  console.log(`📦 Archived ticket channel for order ${ticket.orderNumber}`);
+}
+
+/**
+ * Delete a ticket channel and record it on the ticket
+ * @param {Object} channel - Discord ticket channel
+ * @param {Object} ticket - Ticket document
+ */
+async function deleteTicketChannel(channel, ticket) {
+  await channel.delete();
+
+  ticket.channelDeletedAt = new Date();
+  await ticket.save();
+
+  console.log(`🗑️ Deleted ticket channel for order ${ticket.orderNumber}`);
+}
+
+/**
+ * Save the transcript, record the close, then archive (or delete) the ticket channel after a short delay
+ * Nothing is archived or deleted if the transcript could not be saved.
+ * @param {Object} channel - Discord ticket channel
+ * @param {Object} ticket - Ticket document
+ * @param {Object} options - { closedBy, reason, delayMs, hardDelete }
+ */
+async function closeTicketChannel(channel, ticket, { closedBy = null, reason = null, delayMs = 5000, hardDelete = false } = {}) {
+  await transcriptService.saveChannelHistory(channel, ticket);
+
+  const order = await Order.findById(ticket.orderId);
+  if (order) {
+    try {
+      await transcriptService.postTranscript(channel.client, order, { closedBy });
+    } catch (error) {
+      // Messages are already stored, /transcript can still re-render them
+      console.error(`❌ Error posting transcript for order ${ticket.orderNumber}:`, error);
+    }
+  }
+
+  await closeTicket(ticket, { closedBy, reason });
+
+  const mode = getCloseMode(hardDelete);
+
+  setTimeout(async () => {
+    try {
+      if (mode === 'delete') {
+        await deleteTicketChannel(channel, ticket);
+      } else {
+        await archiveTicketChannel(channel, ticket, order);
+      }
+    } catch (error) {
+      console.error(`Error ${mode === 'delete' ? 'deleting' : 'archiving'} ticket channel:`, error);
+    }
+  }, delayMs);
+}
+
+/**
+ * Delete archived ticket channels whose retention period has ended
+ * @param {Object} client - Discord client
+ */
+async function cleanupArchivedTickets(client) {
+  try {
+    const cutoff = new Date(Date.now() - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const tickets = await Ticket.find({
+      archivedAt: { $ne: null, $lte: cutoff },
+      channelDeletedAt: null
+    }).limit(50);
+
+    for (const ticket of tickets) {
+      try {
+        const channel = await client.channels.fetch(ticket.channelId).catch(() => null);
+        if (channel) {
+          await deleteTicketChannel(channel, ticket);
+        } else {
+          // Already gone (deleted by hand)
+          ticket.channelDeletedAt = new Date();
+          await ticket.save();
+        }
+      } catch (error) {
+        console.error(`❌ [Archive Cleanup] Failed to delete archived ticket for order ${ticket.orderNumber}:`, error);
+      }
+    }
+
+    if (tickets.length > 0) {
+      console.log(`🧹 [Archive Cleanup] Removed ${tickets.length} archived ticket channel(s) older than ${ARCHIVE_RETENTION_DAYS} days`);
+    }
+  } catch (error) {
+    console.error('❌ [Archive Cleanup] Error cleaning up archived tickets:', error);
+  }
+}
+
+/**
+ * Start the scheduled cleanup of archived tickets
+ * @param {Object} client - Discord client
+ */
+function startArchiveCleanup(client) {
+  console.log(`🧹 Archive Cleanup started (retention ${ARCHIVE_RETENTION_DAYS} days, close mode: ${TICKET_CLOSE_MODE})`);
+
+  cleanupArchivedTickets(client);
+  setInterval(() => cleanupArchivedTickets(client), ARCHIVE_CLEANUP_INTERVAL);
+}
+
+module.exports = {
+  getCustomerMember,
+  buildTicketPermissionOverwrites,
+  sendCustomerAccessPrompt,
+  openTicketChannel,
+  reopenTicket,
+  createTicket,
+  getControlOptions,
+  getTicketByChannel,
+  getTicketContext,
+  getOpenTicketForOrder,
+  claimTicket,
+  unclaimTicket,
+  transferTicket,
+  canManageClaim,
+  buildClaimRefusal,
+  releaseTicket,
+  reassignTicket,
+  takeOrderTicket,
+  completeTicket,
+  closeTicket,
+  isOrderSettled,
+  getCloseMode,
+  archiveTicketChannel,
+  deleteTicketChannel,
+  closeTicketChannel,
+  cleanupArchivedTickets,
+  startArchiveCleanup
+};
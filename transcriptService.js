@@ -0,0 +1,275 @@
+// Ticket Transcript Service
+// Saves ticket channel history as ChatMessage rows and renders transcripts (HTML + plain text)
+
+const { AttachmentBuilder } = require('discord.js');
+const { ChatMessage } = require('./models');
+const { isStaffMember } = require('./staff');
+
+const TRANSCRIPT_CHANNEL_ID = process.env.TRANSCRIPT_CHANNEL_ID; // Archive channel for transcripts
+const FETCH_PAGE_SIZE = 100; // Discord maximum per request
+
+/**
+ * Whether a message author counts as staff in a transcript
+ * @param {Object} message - Discord message
+ */
+function isStaffMessage(message) {
+  if (message.author.bot) return true;
+  return isStaffMember(message.member);
+}
+
+/**
+ * Flatten a Discord message into the text we store
+ * Attachments and embeds are kept as references so nothing is lost.
+ * @param {Object} message - Discord message
+ */
+function getMessageContent(message) {
+  const parts = [];
+
+  if (message.content) {
+    parts.push(message.content);
+  }
+
+  for (const embed of message.embeds) {
+    const title = embed.title || embed.description;
+    if (title) {
+      parts.push(`[Embed] ${title}`);
+    }
+  }
+
+  for (const attachment of message.attachments.values()) {
+    parts.push(`[Attachment] ${attachment.name}: ${attachment.url}`);
+  }
+
+  return parts.length > 0 ? parts.join('\n') : '[no text content]';
+}
+
+/**
+ * Fetch the full history of a channel, oldest first
+ * @param {Object} channel - Discord text channel
+ */
+async function fetchChannelHistory(channel) {
+  const messages = [];
+  let before;
+
+  while (true) {
+    const page = await channel.messages.fetch({ limit: FETCH_PAGE_SIZE, before });
+    if (page.size === 0) break;
+
+    messages.push(...page.values());
+    before = page.last().id;
+
+    if (page.size < FETCH_PAGE_SIZE) break;
+  }
+
+  return messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+
+/**
+ * Store every message of a ticket channel as ChatMessage rows
+ * Upserts by Discord message ID, so messages already stored are never duplicated.
+ * @param {Object} channel - Discord ticket channel
+ * @param {Object} ticket - Ticket document
+ * @returns {number} - Number of messages saved
+ */
+async function saveChannelHistory(channel, ticket) {
+  try {
+    const messages = await fetchChannelHistory(channel);
+
+    if (messages.length > 0) {
+      await ChatMessage.bulkWrite(messages.map(message => ({
+        updateOne: {
+          filter: { discordMessageId: message.id },
+          // Rows already recorded live (or relayed from the web) are kept as they are
+          update: {
+            $setOnInsert: {
+              orderId: ticket.orderId,
+              discordChannelId: channel.id,
+              author: message.member?.displayName || message.author.username,
+              content: getMessageContent(message),
+              isStaff: isStaffMessage(message),
+              relayedAt: new Date(),
+              timestamp: message.createdAt
+            }
+          },
+          upsert: true
+        }
+      })));
+    }
+
+    console.log(`✓ Saved ${messages.length} message(s) from ticket for order ${ticket.orderNumber}`);
+    return messages.length;
+  } catch (error) {
+    console.error('Error saving ticket history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the stored transcript messages of an order, oldest first
+ * @param {Object} order - Order document
+ */
+async function getTranscriptMessages(order) {
+  return ChatMessage.find({ orderId: order._id }).sort({ timestamp: 1 });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a transcript as plain text
+ * @param {Object} order - Order document
+ * @param {Object[]} messages - ChatMessage documents
+ */
+function renderTranscriptText(order, messages) {
+  const lines = [
+    `BitePlug Ticket Transcript - Order ${order.orderNumber}`,
+    `Status: ${order.status}`,
+    `Generated: ${new Date().toISOString()}`,
+    `Messages: ${messages.length}`,
+    ''
+  ];
+
+  for (const msg of messages) {
+    const role = msg.isStaff ? 'STAFF' : 'CUSTOMER';
+    lines.push(`[${new Date(msg.timestamp).toISOString()}] ${msg.author} (${role}):`);
+    lines.push(msg.content);
+    lines.push('');
+  }
+
+  const notes = order.notes || [];
+  if (notes.length > 0) {
+    lines.push('--- Internal staff notes ---');
+    lines.push('');
+    for (const note of notes) {
+      lines.push(`[${new Date(note.createdAt).toISOString()}] ${note.authorName}: ${note.text}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a transcript as a standalone HTML page
+ * @param {Object} order - Order document
+ * @param {Object[]} messages - ChatMessage documents
+ */
+function renderTranscriptHtml(order, messages) {
+  const rows = messages.map(msg => `
+    <div class="message ${msg.isStaff ? 'staff' : 'customer'}">
+      <div class="meta">
+        <span class="author">${escapeHtml(msg.author)}</span>
+        <span class="role">${msg.isStaff ? 'Staff' : 'Customer'}</span>
+        <span class="time">${escapeHtml(new Date(msg.timestamp).toISOString())}</span>
+      </div>
+      <div class="content">${escapeHtml(msg.content).replace(/\n/g, '<br>')}</div>
+    </div>`).join('');
+
+  const notes = order.notes || [];
+  const notesHtml = notes.length === 0 ? '' : `
+  <h2>🔒 Internal staff notes</h2>${notes.map(note => `
+    <div class="message note">
+      <div class="meta">
+        <span class="author">${escapeHtml(note.authorName)}</span>
+        <span class="time">${escapeHtml(new Date(note.createdAt).toISOString())}</span>
+      </div>
+      <div class="content">${escapeHtml(note.text).replace(/\n/g, '<br>')}</div>
+    </div>`).join('')}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Order ${escapeHtml(order.orderNumber)} - Transcript</title>
+  <style>
+    body { font-family: sans-serif; background: #313338; color: #dbdee1; margin: 0; padding: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .summary { color: #949ba4; margin-bottom: 24px; }
+    .message { padding: 8px 12px; margin-bottom: 8px; border-left: 3px solid #5865F2; background: #2b2d31; }
+    .message.customer { border-left-color: #57F287; }
+    .meta { font-size: 12px; color: #949ba4; margin-bottom: 4px; }
+    .author { font-weight: bold; color: #f2f3f5; margin-right: 8px; }
+    .role { margin-right: 8px; }
+    .message.note { border-left-color: #FEE75C; }
+    h2 { font-size: 16px; margin: 24px 0 8px; }
+    .content { white-space: normal; word-wrap: break-word; }
+  </style>
+</head>
+<body>
+  <h1>🎫 Order ${escapeHtml(order.orderNumber)}</h1>
+  <div class="summary">Status: ${escapeHtml(order.status)} · ${messages.length} message(s) · Generated ${escapeHtml(new Date().toISOString())}</div>${rows}${notesHtml}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the transcript attachments (HTML + plain text) for an order
+ * @param {Object} order - Order document
+ * @param {Object[]} messages - ChatMessage documents
+ */
+function buildTranscriptFiles(order, messages) {
+  return [
+    new AttachmentBuilder(Buffer.from(renderTranscriptHtml(order, messages), 'utf8'), {
+      name: `transcript-${order.orderNumber}.html`
+    }),
+    new AttachmentBuilder(Buffer.from(renderTranscriptText(order, messages), 'utf8'), {
+      name: `transcript-${order.orderNumber}.txt`
+    })
+  ];
+}
+
+/**
+ * Post an order's stored transcript to the archive channel
+ * @param {Object} client - Discord client
+ * @param {Object} order - Order document
+ * @param {Object} options - { closedBy }
+ */
+async function postTranscript(client, order, { closedBy = null } = {}) {
+  if (!TRANSCRIPT_CHANNEL_ID) {
+    console.warn(`⚠️ TRANSCRIPT_CHANNEL_ID not set, transcript for order ${order.orderNumber} was saved but not posted`);
+    return;
+  }
+
+  const channel = await client.channels.fetch(TRANSCRIPT_CHANNEL_ID);
+  if (!channel) {
+    throw new Error(`Transcript channel ${TRANSCRIPT_CHANNEL_ID} not found`);
+  }
+
+  const messages = await getTranscriptMessages(order);
+
+  const embed = {
+    color: 0x5865F2,
+    title: `📜 Transcript: ${order.orderNumber}`,
+    fields: [
+      { name: '📋 Status', value: order.status, inline: true },
+      { name: '💬 Messages', value: `${messages.length}`, inline: true },
+      { name: '🔒 Closed By', value: closedBy ? `<@${closedBy}>` : 'System', inline: true }
+    ],
+    timestamp: new Date()
+  };
+
+  await channel.send({
+    embeds: [embed],
+    files: buildTranscriptFiles(order, messages)
+  });
+
+  console.log(`📜 Posted transcript for order ${order.orderNumber} to channel ${TRANSCRIPT_CHANNEL_ID}`);
+}
+
+module.exports = {
+  isStaffMessage,
+  getMessageContent,
+  saveChannelHistory,
+  getTranscriptMessages,
+  renderTranscriptText,
+  renderTranscriptHtml,
+  buildTranscriptFiles,
+  postTranscript
+};
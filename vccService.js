@@ -135,6 +135,64 @@ async function assignVccToOrder(orderId) {
   }
 }
 
+/**
+ * Return a VCC that was reserved for an order but never used back to the unused inventory
+ * Cards already marked used (by this or another order) are never recycled: the worker may have
+ * submitted them at checkout or still be using them.
+ * @param {string} vccId - The MongoDB ObjectId of the VCC
+ * @param {string} orderNumber - The order the card was assigned to
+ * @returns {Object|null} - The returned card, or null if it could not be returned
+ */
+async function returnVccToInventory(vccId, orderNumber) {
+  try {
+    const card = await VirtualCard.findOneAndUpdate(
+      { _id: vccId, status: 'unused' },
+      {
+        usedAt: null,
+        usedForOrderNumber: null
+      },
+      { new: true }
+    );
+
+    if (!card) {
+      console.warn(`⚠️ VCC ${vccId} from order ${orderNumber} was not returned (missing or already used)`);
+      return null;
+    }
+
+    console.log(`✓ Returned VCC from order ${orderNumber} to inventory`);
+    return card;
+  } catch (error) {
+    console.error('Error returning VCC to inventory:', error);
+    throw error;
+  }
+}
+
+/**
+ * Flag a VCC that was used for an order for manual review (e.g. the order was cancelled after checkout)
+ * The card stays `used`, so it is never handed to another order.
+ * @param {string} vccId - The MongoDB ObjectId of the VCC
+ * @param {string} orderNumber - The order the card was used for
+ * @param {string} reason - Why the card needs a look
+ * @returns {Object|null} - The flagged card, or null if it isn't used for this order
+ */
+async function flagVccForReview(vccId, orderNumber, reason) {
+  try {
+    const card = await VirtualCard.findOneAndUpdate(
+      { _id: vccId, status: 'used', usedForOrderNumber: orderNumber },
+      { reviewFlaggedAt: new Date(), reviewReason: reason },
+      { new: true }
+    );
+
+    if (card) {
+      console.warn(`⚠️ VCC used for order ${orderNumber} flagged for review: ${reason}`);
+    }
+    return card;
+  } catch (error) {
+    console.error('Error flagging VCC for review:', error);
+    throw error;
+  }
+}
+
 /**
  * Validate a single VCC format with strict rules
  * @param {string} cardString - VCC string to validate
@@ -361,6 +419,8 @@ module.exports = {
   addVcc,
   getVccStats,
   assignVccToOrder,
+  returnVccToInventory,
+  flagVccForReview,
   bulkAddVccs,
   validateVccFormat,
   validateVccBatch,
@@ -0,0 +1,109 @@
+// Wallet Rendering
+// Builds the /wallet embeds and the history page buttons
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { formatCents } = require('./orderDetails');
+
+const TYPE_EMOJIS = {
+  charge: '🛒',
+  refund: '↩️',
+  credit: '💵',
+  adjustment: '🛠️'
+};
+
+/**
+ * Format a signed ledger amount (e.g. +$5.00 / -$12.34)
+ * @param {number} cents - Signed amount in cents
+ */
+function formatSignedCents(cents) {
+  return `${cents < 0 ? '-' : '+'}${formatCents(Math.abs(cents))}`;
+}
+
+/**
+ * Short label for whose wallet is shown
+ * @param {Object} user - User document
+ */
+function describeUser(user) {
+  return `${user.fullName || 'Unknown'} (${user.email})`;
+}
+
+/**
+ * Embed for /wallet view
+ * @param {Object} user - User document
+ * @param {Object[]} recentEntries - Latest ledger entries
+ */
+function buildWalletEmbed(user, recentEntries) {
+  const recent = recentEntries
+    .map(entry => `${TYPE_EMOJIS[entry.type] || '•'} ${formatSignedCents(entry.amountCents)} · ${entry.type} · <t:${Math.floor(entry.createdAt.getTime() / 1000)}:R>`)
+    .join('\n');
+
+  return {
+    color: 0x57F287,
+    title: '👛 Wallet',
+    description: describeUser(user),
+    fields: [
+      { name: '💵 Balance', value: formatCents(user.balanceCents || 0), inline: true },
+      { name: '🔗 Discord', value: user.discordId ? `<@${user.discordId}>` : 'Not linked', inline: true },
+      { name: '🧾 Recent Activity', value: recent || 'No ledger entries yet', inline: false }
+    ],
+    footer: { text: 'Use /wallet history for the full ledger' },
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Embed for one page of /wallet history
+ * @param {Object} user - User document
+ * @param {Object} history - { entries, page, totalPages, total } from ledgerService.getHistory
+ */
+function buildHistoryEmbed(user, { entries, page, totalPages, total }) {
+  const lines = entries.map(entry => {
+    const order = entry.orderId?.orderNumber ? ` · #${entry.orderId.orderNumber}` : '';
+    const reason = entry.reason ? `\n  ${entry.reason.substring(0, 100)}` : '';
+    const actor = entry.actor && entry.actor !== 'system' ? `<@${entry.actor}>` : 'system';
+
+    return `${TYPE_EMOJIS[entry.type] || '•'} **${formatSignedCents(entry.amountCents)}** ${entry.type}${order} → ${formatCents(entry.balanceAfterCents)}` +
+      ` · <t:${Math.floor(entry.createdAt.getTime() / 1000)}:f> · ${actor}${reason}`;
+  });
+
+  return {
+    color: 0x5865F2,
+    title: '🧾 Wallet History',
+    description: `${describeUser(user)}\n💵 Balance: **${formatCents(user.balanceCents || 0)}**\n\n${lines.join('\n') || 'No ledger entries yet'}`.substring(0, 4096),
+    footer: { text: `Page ${page}/${totalPages} · ${total} entries` },
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Prev/Next buttons for a history page
+ * @param {Object} user - User document
+ * @param {number} page - Current page
+ * @param {number} totalPages - Number of pages
+ */
+function buildHistoryRows(user, page, totalPages) {
+  if (totalPages <= 1) return [];
+
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`wallethistory_${user._id}_${page - 1}`)
+        .setLabel('◀️ Prev')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page <= 1),
+      new ButtonBuilder()
+        .setCustomId(`wallethistory_${user._id}_${page + 1}`)
+        .setLabel('Next ▶️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= totalPages)
+    );
+
+  return [row];
+}
+
+module.exports = {
+  formatSignedCents,
+  buildWalletEmbed,
+  buildHistoryEmbed,
+  buildHistoryRows
+};
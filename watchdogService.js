@@ -0,0 +1,222 @@
+// Order Watchdog
+// Surfaces orders the automation left behind: stuck in `processing`, ended in `automation_failed`,
+// or sitting in `payment_submitted` for too long. Each is posted once to the ops channel with
+// Requeue / Take / Cancel buttons. Alerts are recorded on the order, so restarts never repeat them.
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { Order } = require('./models');
+const { formatCents, hasTicketChannel } = require('./orderDetails');
+
+const WATCHDOG_CHECK_INTERVAL = 60 * 1000; // Check every minute
+
+const OPS_CHANNEL_ID = process.env.OPS_CHANNEL_ID;
+const WATCHDOG_PROCESSING_MINUTES = parseInt(process.env.WATCHDOG_PROCESSING_MINUTES || '20', 10);
+const WATCHDOG_PAYMENT_SUBMITTED_MINUTES = parseInt(process.env.WATCHDOG_PAYMENT_SUBMITTED_MINUTES || '60', 10);
+
+let watchdogRunning = false;
+
+const KIND_LABELS = {
+  stuck_processing: 'Stuck in processing',
+  automation_failed: 'Automation failed',
+  payment_submitted_stale: 'Payment not reviewed'
+};
+
+// Alert kinds the Requeue button applies to
+const REQUEUEABLE_KINDS = ['stuck_processing', 'automation_failed'];
+
+/**
+ * The checks the watchdog runs, each with the query for matching orders and the date an alert is
+ * deduplicated on (a new automation run is a new episode and may alert again). `sinceExpr` is the
+ * same date as an aggregation expression, so already-alerted orders are left out by the query.
+ */
+function getChecks(now) {
+  return [
+    {
+      kind: 'stuck_processing',
+      filter: {
+        status: 'processing',
+        automationStartedAt: { $lte: new Date(now - WATCHDOG_PROCESSING_MINUTES * 60 * 1000) }
+      },
+      since: order => order.automationStartedAt,
+      sinceExpr: '$automationStartedAt',
+      sort: { automationStartedAt: 1 }
+    },
+    {
+      kind: 'automation_failed',
+      filter: { status: 'automation_failed' },
+      since: order => order.automationStartedAt || order.createdAt,
+      sinceExpr: { $ifNull: ['$automationStartedAt', '$createdAt'] },
+      sort: { automationStartedAt: 1, createdAt: 1 }
+    },
+    {
+      kind: 'payment_submitted_stale',
+      filter: {
+        status: 'payment_submitted',
+        createdAt: { $lte: new Date(now - WATCHDOG_PAYMENT_SUBMITTED_MINUTES * 60 * 1000) }
+      },
+      since: order => order.createdAt,
+      sinceExpr: '$createdAt',
+      sort: { createdAt: 1 }
+    }
+  ];
+}
+
+/**
+ * Query condition for orders without an alert of this kind for their current episode
+ * @param {string} kind - Alert kind
+ * @param {*} sinceExpr - Aggregation expression for the episode date
+ */
+function notAlertedCondition(kind, sinceExpr) {
+  return {
+    $expr: {
+      $not: {
+        $in: [sinceExpr, {
+          $map: {
+            input: {
+              $filter: { input: { $ifNull: ['$watchdogAlerts', []] }, cond: { $eq: ['$$this.kind', kind] } }
+            },
+            in: '$$this.since'
+          }
+        }]
+      }
+    }
+  };
+}
+
+/**
+ * Atomically record an alert on an order
+ * Returns null if it was already recorded, so each alert is posted exactly once.
+ * @param {Object} filter - Order query the order must still match
+ * @param {string} kind - Alert kind
+ * @param {Date} since - Start of the episode the alert is about
+ */
+async function recordAlert(filter, kind, since) {
+  return Order.findOneAndUpdate(
+    { ...filter, watchdogAlerts: { $not: { $elemMatch: { kind, since } } } },
+    { $push: { watchdogAlerts: { kind, since, alertedAt: new Date() } } },
+    { new: true }
+  );
+}
+
+/**
+ * Action buttons for an alert
+ * @param {string} orderNumber - Order number
+ * @param {string} kind - Alert kind
+ */
+function buildAlertRows(orderNumber, kind) {
+  const row = new ActionRowBuilder();
+
+  if (REQUEUEABLE_KINDS.includes(kind)) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`watchdog_requeue_${orderNumber}`)
+        .setLabel('🔁 Requeue')
+        .setStyle(ButtonStyle.Primary)
+    );
+  }
+
+  row.addComponents(
+    new ButtonBuilder()
+      .setCustomId(`watchdog_take_${orderNumber}`)
+      .setLabel('🙋 Take Manually')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`watchdog_cancel_${orderNumber}`)
+      .setLabel('🚫 Cancel')
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  return [row];
+}
+
+/**
+ * Embed for an alert
+ * @param {Object} order - Order document
+ * @param {string} kind - Alert kind
+ * @param {Date} since - Start of the episode
+ */
+function buildAlertEmbed(order, kind, since) {
+  const fields = [
+    { name: '📋 Status', value: `\`${order.status}\``, inline: true },
+    { name: '⏱️ Since', value: `<t:${Math.floor(new Date(since).getTime() / 1000)}:R>`, inline: true },
+    { name: '💰 Charge', value: formatCents(order.chargeCents), inline: true },
+    { name: '💳 Payment', value: order.paymentMethod, inline: true },
+    { name: '🤖 Attempts', value: `${order.automationAttempts || 0}`, inline: true },
+    { name: '🎫 Ticket', value: hasTicketChannel(order) ? `<#${order.discordChannelId}>` : 'None', inline: true }
+  ];
+
+  if (order.automationError) {
+    fields.push({ name: '⚠️ Last error', value: order.automationError.substring(0, 1024), inline: false });
+  }
+
+  return {
+    color: kind === 'automation_failed' ? 0xED4245 : 0xFF9500,
+    title: `🐶 ${KIND_LABELS[kind]}: ${order.orderNumber}`,
+    fields,
+    footer: { text: 'Order watchdog' },
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Find orders that need attention and alert once per episode
+ * @param {Object} client - Discord client
+ */
+async function checkStuckOrders(client) {
+  if (watchdogRunning) return;
+  watchdogRunning = true;
+
+  try {
+    const channel = await client.channels.fetch(OPS_CHANNEL_ID);
+
+    for (const { kind, filter, since, sinceExpr, sort } of getChecks(Date.now())) {
+      // Oldest first, and only orders not alerted yet, so alerted orders never crowd out new ones
+      const candidates = await Order.find({ ...filter, ...notAlertedCondition(kind, sinceExpr) })
+        .sort(sort)
+        .limit(50);
+
+      for (const candidate of candidates) {
+        const episode = since(candidate);
+        const order = await recordAlert({ ...filter, _id: candidate._id }, kind, episode);
+        if (!order) continue;
+
+        try {
+          await channel.send({
+            embeds: [buildAlertEmbed(order, kind, episode)],
+            components: buildAlertRows(order.orderNumber, kind)
+          });
+          console.log(`🐶 [Watchdog] ${kind} alert for order ${order.orderNumber}`);
+        } catch (error) {
+          console.error(`❌ [Watchdog] Failed to post ${kind} alert for order ${order.orderNumber}:`, error);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ [Watchdog] Error checking stuck orders:', error);
+  } finally {
+    watchdogRunning = false;
+  }
+}
+
+/**
+ * Start the watchdog sweep
+ * @param {Object} client - Discord client
+ */
+function startOrderWatchdog(client) {
+  if (!OPS_CHANNEL_ID) {
+    console.warn('⚠️ OPS_CHANNEL_ID not set, order watchdog disabled');
+    return;
+  }
+
+  console.log(`🐶 Order Watchdog started (processing ${WATCHDOG_PROCESSING_MINUTES}m, payment submitted ${WATCHDOG_PAYMENT_SUBMITTED_MINUTES}m)`);
+
+  checkStuckOrders(client);
+  setInterval(() => checkStuckOrders(client), WATCHDOG_CHECK_INTERVAL);
+}
+
+module.exports = {
+  KIND_LABELS,
+  buildAlertRows,
+  checkStuckOrders,
+  startOrderWatchdog
+};